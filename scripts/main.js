@@ -14,45 +14,347 @@ function feetToSceneUnits(ft) {
   return ft;
 }
 
+/**
+ * The footprint of a placeable in grid cells. Tokens are sized in cells, Tiles
+ * in pixels, and Notes and ambient Sounds are points without a footprint.
+ *
+ * @param {TokenDocument|TileDocument|NoteDocument|AmbientSoundDocument|object} doc
+ * @returns {{width: number, height: number}}
+ */
+function footprintOf(doc) {
+  if (doc.documentName === "Note" || doc.documentName === "AmbientSound") return { width: 0, height: 0 };
+  if (doc.documentName === "Tile") {
+    const size = canvas.dimensions.size;
+    return { width: (doc.width ?? 0) / size, height: (doc.height ?? 0) / size };
+  }
+  return { width: doc.width ?? 1, height: doc.height ?? 1 };
+}
+
 function centerOf(doc) {
   const d = canvas.dimensions;
-  const x = (doc.x ?? 0) + ((doc.width ?? 1) * d.size) / 2;
-  const y = (doc.y ?? 0) + ((doc.height ?? 1) * d.size) / 2;
+  const { width, height } = footprintOf(doc);
+  const x = (doc.x ?? 0) + (width * d.size) / 2;
+  const y = (doc.y ?? 0) + (height * d.size) / 2;
   return { x, y };
 }
 
-function distanceBetweenDocs(aDoc, bDoc) {
+/**
+ * Ways of measuring the distance between two tokens, keyed by the value stored in
+ * the "measurementMode" world setting.
+ */
+const MEASUREMENT_MODES = {
+  center: "Center to center",
+  edge: "Edge to edge",
+  grid: "Grid rules (matches the ruler)"
+};
+
+function getMeasurementMode() {
+  const mode = game.settings?.get(MODULE_ID, "measurementMode");
+  return mode in MEASUREMENT_MODES ? mode : "center";
+}
+
+/**
+ * Clamp a point into the range of grid-cell centers covered by a token. Tokens
+ * smaller than one cell collapse to their center.
+ */
+function nearestCellCenterOf(doc, point) {
+  const size = canvas.dimensions.size;
+  const c = centerOf(doc);
+  const { width, height } = footprintOf(doc);
+  const halfW = Math.max(0, (width - 1) * size / 2);
+  const halfH = Math.max(0, (height - 1) * size / 2);
+  return {
+    x: Math.clamp(point.x, c.x - halfW, c.x + halfW),
+    y: Math.clamp(point.y, c.y - halfH, c.y + halfH)
+  };
+}
+
+/**
+ * Measure the distance in scene units between two token documents, or a token
+ * and another placeable.
+ *
+ *  - center: straight line between token centers.
+ *  - edge:   straight line between the closest edges of the two footprints, so a
+ *            Huge creature counts from its edge rather than its middle.
+ *  - grid:   the scene grid's own measurement between the closest occupied cells,
+ *            honouring the configured diagonal rule and hex grids like the ruler.
+ *
+ * The difference in elevation, which is already in scene units, is combined
+ * with the horizontal distance, so a token flying overhead is as far away as
+ * its height above the ground.
+ *
+ * @param {TokenDocument} aDoc
+ * @param {TokenDocument} bDoc
+ * @param {string} [mode]  One of MEASUREMENT_MODES; defaults to the world setting
+ * @returns {number}
+ */
+function distanceBetweenDocs(aDoc, bDoc, mode = getMeasurementMode()) {
   const d = canvas.dimensions;
   const ac = centerOf(aDoc);
   const bc = centerOf(bDoc);
-  const px = Math.hypot(ac.x - bc.x, ac.y - bc.y);
-  return (px / d.size) * d.distance;
+
+  const dz = Math.abs((aDoc.elevation ?? 0) - (bDoc.elevation ?? 0));
+
+  if (mode === "grid" && typeof canvas.grid?.measurePath === "function") {
+    const from = nearestCellCenterOf(aDoc, bc);
+    const to = nearestCellCenterOf(bDoc, from);
+    return Math.hypot(canvas.grid.measurePath([from, to]).distance, dz);
+  }
+
+  let dx = Math.abs(ac.x - bc.x);
+  let dy = Math.abs(ac.y - bc.y);
+  if (mode === "edge") {
+    const a = footprintOf(aDoc);
+    const b = footprintOf(bDoc);
+    dx = Math.max(0, dx - ((a.width + b.width) * d.size) / 2);
+    dy = Math.max(0, dy - ((a.height + b.height) * d.size) / 2);
+  }
+  const px = Math.hypot(dx, dy);
+  return Math.hypot((px / d.size) * d.distance, dz);
+}
+
+/**
+ * Ways of splitting a scene into levels whose tokens cannot reveal each other,
+ * keyed by the value stored in the "levelSeparation" world setting.
+ */
+const LEVEL_SEPARATION = {
+  none: "Off",
+  band: "Elevation bands of a fixed height",
+  regions: "Regions with an elevation range"
+};
+
+/**
+ * Identify the level a token is on, or null when it is on no particular level.
+ * In band mode each band of "levelHeight" scene units is a level, starting at
+ * elevation zero. In regions mode a level is a Region with a bottom or top
+ * elevation that contains the token, so each floor of a building can be its
+ * own Region.
+ *
+ * @param {TokenDocument} tokenDoc
+ * @returns {string|number|null}
+ */
+function levelOf(tokenDoc) {
+  const separation = game.settings.get(MODULE_ID, "levelSeparation");
+  if (separation === "band") {
+    const height = Number(game.settings.get(MODULE_ID, "levelHeight"));
+    if (!(height > 0)) return null;
+    return Math.floor((tokenDoc.elevation ?? 0) / height);
+  }
+  if (separation === "regions") {
+    const isLevel = region => Number.isFinite(region.elevation?.bottom) || Number.isFinite(region.elevation?.top);
+    const levels = tokenDoc.parent?.regions?.filter(region => isLevel(region) && isInsideZone(tokenDoc, region)) ?? [];
+    return levels.map(region => region.id).sort()[0] ?? null;
+  }
+  return null;
+}
+
+/**
+ * Whether two tokens are on the same level and so able to reveal each other.
+ *
+ * @param {TokenDocument} aDoc
+ * @param {TokenDocument} bDoc
+ * @returns {boolean}
+ */
+function onSameLevel(aDoc, bDoc) {
+  if (game.settings.get(MODULE_ID, "levelSeparation") === "none") return true;
+  return levelOf(aDoc) === levelOf(bDoc);
+}
+
+/**
+ * Test whether an unobstructed sight line exists from one document's center to
+ * another's, using the scene's wall geometry. When the sight polygon backend is
+ * unavailable we cannot test collisions, so the line is treated as clear.
+ *
+ * @param {TokenDocument} fromDoc  The observing document (usually a player anchor)
+ * @param {TokenDocument} toDoc    The observed document
+ * @returns {boolean}
+ */
+function hasLineOfSight(fromDoc, toDoc) {
+  const backend = CONFIG.Canvas?.polygonBackends?.sight;
+  if (typeof backend?.testCollision !== "function") return true;
+  return !backend.testCollision(centerOf(fromDoc), centerOf(toDoc), { type: "sight", mode: "any" });
+}
+
+/* -------------------- anchors -------------------- */
+
+/** Per-token anchor eligibility, keyed by the value of the "anchor" flag. */
+const ANCHOR_CHOICES = {
+  always: "Always",
+  never: "Never"
+};
+
+/** Token dispositions that anchor rules can include or exclude. */
+const ANCHOR_DISPOSITIONS = {
+  1: "Friendly",
+  0: "Neutral",
+  [-1]: "Hostile",
+  [-2]: "Secret"
+};
+
+/**
+ * The default anchor rules reproduce the original behaviour: every token of a
+ * player-owned actor is an anchor, whatever its disposition or state.
+ */
+const DEFAULT_ANCHOR_RULES = {
+  requirePlayerOwner: true,
+  dispositions: [1, 0, -1, -2],
+  users: [],
+  includeHidden: true,
+  excludedStatuses: []
+};
+
+function getAnchorRules() {
+  const stored = game.settings?.get(MODULE_ID, "anchorRules") ?? {};
+  return { ...DEFAULT_ANCHOR_RULES, ...stored };
+}
+
+/**
+ * Whether a token belongs to the party: its actor is player-owned or the GM
+ * marked it to always act as an anchor. Party tokens are never auto-hidden.
+ * The token's own actor is used so unlinked tokens report their synthetic data.
+ *
+ * @param {TokenDocument} tokenDoc
+ * @returns {boolean}
+ */
+function isPartyToken(tokenDoc) {
+  return !!tokenDoc.actor?.hasPlayerOwner || tokenDoc.getFlag(MODULE_ID, "anchor") === "always";
+}
+
+/**
+ * Decide whether a token may reveal hidden tokens under the world anchor rules
+ * and its own "acts as anchor" flag. Hidden and status rules apply even to
+ * tokens that always act as anchors, so a dead familiar reveals nothing.
+ * Tokens that proximity itself hides never act as anchors unless marked to
+ * always do so; otherwise loose rules would let hidden NPCs reveal each other.
+ *
+ * @param {TokenDocument} tokenDoc
+ * @param {object} rules           The world anchor rules
+ * @param {User} [user]            Restrict to anchors this user owns (per-player mode)
+ * @returns {boolean}
+ */
+function isAnchorEligible(tokenDoc, rules, user) {
+  const flag = tokenDoc.getFlag(MODULE_ID, "anchor");
+  if (flag === "never") return false;
+  const actor = tokenDoc.actor;
+  if (!rules.includeHidden && tokenDoc.hidden) return false;
+  if (rules.excludedStatuses.some(id => tokenDoc.hasStatusEffect?.(id) ?? actor?.statuses?.has(id))) return false;
+
+  // In per-player mode a user's anchors are the tokens they own. GM-owned
+  // companions that always act as anchors count for every player.
+  if (user && !actor?.testUserPermission(user, "OWNER") && !(flag === "always" && !actor?.hasPlayerOwner)) return false;
+  if (flag === "always") return true;
+
+  if (rules.requirePlayerOwner && !actor?.hasPlayerOwner) return false;
+  if (isProximityManaged(tokenDoc)) return false;
+  if (!rules.dispositions.includes(tokenDoc.disposition)) return false;
+  if (rules.users.length && !rules.users.some(id => {
+    const owner = game.users?.get(id);
+    return owner && actor?.testUserPermission(owner, "OWNER");
+  })) return false;
+  return true;
+}
+
+/**
+ * Collect the tokens on the current scene that can reveal hidden tokens.
+ * When a user is given, only tokens that user owns are returned, which is what
+ * per-player visibility measures against.
+ *
+ * @param {User} [user]
+ * @returns {TokenDocument[]}
+ */
+function getPlayerAnchorDocs(user) {
+  const rules = getAnchorRules();
+  return canvas.scene?.tokens?.contents.filter(td => isAnchorEligible(td, rules, user)) ?? [];
 }
 
-function getPlayerAnchorDocs() {
-  return canvas.scene?.tokens?.contents.filter(td => {
-    const actor = game.actors?.get(td.actorId);
-    return actor?.hasPlayerOwner;
-  }) ?? [];
+/**
+ * Settings menu editing the world anchor rules: which dispositions, users,
+ * hidden tokens and status effects let a token act as an anchor.
+ */
+class AnchorRulesConfig extends foundry.applications.api.ApplicationV2 {
+  static DEFAULT_OPTIONS = {
+    id: `${MODULE_ID}-anchor-rules`,
+    tag: "form",
+    window: { title: "Minimum Visibility: Anchor Rules", contentClasses: ["standard-form"] },
+    position: { width: 480 },
+    form: { handler: AnchorRulesConfig.onSubmit, closeOnSubmit: true }
+  };
+
+  async _renderHTML() {
+    const rules = getAnchorRules();
+    const checkbox = (name, value, checked, label) =>
+      `<label class="checkbox"><input type="checkbox" name="${name}" value="${value}" ${checked ? "checked" : ""}> ${foundry.utils.escapeHTML(label)}</label>`;
+    const dispositions = Object.entries(ANCHOR_DISPOSITIONS)
+      .map(([value, label]) => checkbox("dispositions", value, rules.dispositions.includes(Number(value)), label))
+      .join("");
+    const users = (game.users?.filter(u => !u.isGM) ?? [])
+      .map(u => checkbox("users", u.id, rules.users.includes(u.id), u.name))
+      .join("");
+    const statuses = (CONFIG.statusEffects ?? [])
+      .map(effect => checkbox("excludedStatuses", effect.id, rules.excludedStatuses.includes(effect.id),
+        game.i18n.localize(effect.name ?? effect.label ?? effect.id)))
+      .join("");
+    return `
+      <div class="form-group">
+        <label>Require a Player Owner</label>
+        <div class="form-fields">${checkbox("requirePlayerOwner", "true", rules.requirePlayerOwner, "")}</div>
+        <p class="hint">Only tokens of player-owned actors act as anchors. Tokens set to always act as anchors ignore this.</p>
+      </div>
+      <div class="form-group stacked">
+        <label>Dispositions</label>
+        <div class="form-fields">${dispositions}</div>
+      </div>
+      <div class="form-group stacked">
+        <label>Owned by Users</label>
+        <div class="form-fields">${users}</div>
+        <p class="hint">Leave all unticked to allow tokens owned by any player.</p>
+      </div>
+      <div class="form-group">
+        <label>Include Hidden Tokens</label>
+        <div class="form-fields">${checkbox("includeHidden", "true", rules.includeHidden, "")}</div>
+      </div>
+      <div class="form-group stacked">
+        <label>Excluded Status Effects</label>
+        <div class="form-fields">${statuses}</div>
+        <p class="hint">Tokens with any of these statuses, such as unconscious or dead, never act as anchors.</p>
+      </div>
+      <footer class="form-footer">
+        <button type="submit"><i class="fas fa-save"></i> Save Changes</button>
+      </footer>`;
+  }
+
+  _replaceHTML(result, content) {
+    content.innerHTML = result;
+  }
+
+  static async onSubmit(event, form) {
+    const checked = name => [...form.querySelectorAll(`input[name="${name}"]:checked`)].map(el => el.value);
+    await game.settings.set(MODULE_ID, "anchorRules", {
+      requirePlayerOwner: form.querySelector('input[name="requirePlayerOwner"]')?.checked ?? true,
+      dispositions: checked("dispositions").map(Number),
+      users: checked("users"),
+      includeHidden: form.querySelector('input[name="includeHidden"]')?.checked ?? true,
+      excludedStatuses: checked("excludedStatuses")
+    });
+  }
 }
 
 /* -------------------- GM helpers -------------------- */
 
 /**
- * Returns the user object representing the primary GM. This is the first active GM if any
- * are connected, otherwise the first GM defined in the users list. If no GM exists,
- * returns null. By selecting a single GM client to perform certain actions (like
- * automatic Stealth rolls on token creation), we prevent duplicate rolls when multiple
- * players or GMs are present in the world.
+ * Returns the user object representing the primary GM: the executor that
+ * performs every shared side effect (visibility updates, automatic Stealth
+ * rolls, override expiry) so they are never duplicated across GM clients. The
+ * executor is the connected GM with the lowest user id, so every client elects
+ * the same one without coordination and a new one takes over as soon as it
+ * disconnects. Returns null when no GM is connected.
  *
- * @returns {User|null} The primary GM user or null if none exist
+ * @returns {User|null} The primary GM user or null if no GM is connected
  */
 function getPrimaryGMUser() {
   const activeGMs = game.users?.filter(u => u.isGM && u.active) ?? [];
-  if (activeGMs.length > 0) return activeGMs[0];
-  // Fall back to any GM if no one is marked as active
-  const anyGM = game.users?.find(u => u.isGM);
-  return anyGM ?? null;
+  activeGMs.sort((a, b) => a.id.localeCompare(b.id));
+  return activeGMs[0] ?? null;
 }
 
 /**
@@ -68,139 +370,2258 @@ function isPrimaryGM() {
   return !!primary && game.user?.id === primary.id;
 }
 
+/* -------------------- inherited defaults -------------------- */
+
+/**
+ * Token flags that can be inherited from the actor's folder, the scene and the
+ * world, mapped to the world setting that provides the final default.
+ */
+const INHERITED_SETTINGS = {
+  distance: "defaultDistance",
+  measurementMode: "measurementMode",
+  revealMode: "defaultRevealMode",
+  stealthOnCreate: "defaultStealthOnCreate"
+};
+
+/** Human readable names for where a resolved value came from. */
+const SETTING_SOURCES = {
+  token: "this token",
+  prototype: "the prototype token",
+  folder: "the actor folder",
+  scene: "the scene",
+  world: "the world setting",
+  party: "being a party token"
+};
+
+/**
+ * Normalize a stored flag value, returning undefined when it should be
+ * inherited instead. Stealth on Creation used to be a plain checkbox, so a
+ * stored boolean false only means "not ticked" and is inherited; an explicit
+ * "No" is stored as the string "false".
+ *
+ * @param {string} key
+ * @param {*} value
+ * @returns {*}
+ */
+function normalizeInheritedValue(key, value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  if (key === "stealthOnCreate") {
+    if (value === false) return undefined;
+    return value === true || value === "true";
+  }
+  return value;
+}
+
+/**
+ * Resolve an inheritable visibility setting for a token, looking at the token,
+ * then (for Stealth on Creation) its prototype, then the actor's folder and its
+ * parent folders, then the scene, and finally the world setting. Defaults are
+ * meant for non-player tokens, so party tokens only roll Stealth on Creation
+ * when the token or its prototype says so.
+ *
+ * @param {TokenDocument|PrototypeToken} tokenDoc
+ * @param {string} key               One of INHERITED_SETTINGS
+ * @param {object} [options]
+ * @param {boolean} [options.skipToken]  Ignore the token's own flag, to show what it would inherit
+ * @returns {{value: *, source: string}}
+ */
+function resolveVisibilitySetting(tokenDoc, key, { skipToken = false } = {}) {
+  const placed = tokenDoc.documentName === "Token";
+  const actor = placed ? game.actors?.get(tokenDoc.actorId) : tokenDoc.parent;
+  const check = (value, source) => {
+    const normalized = normalizeInheritedValue(key, value);
+    return normalized === undefined ? null : { value: normalized, source };
+  };
+
+  let found = skipToken ? null : check(tokenDoc.getFlag(MODULE_ID, key), "token");
+  // Dragging an actor whose prototype enables Stealth on Creation should roll
+  // even if the placed token does not carry the flag itself.
+  if (!found && placed && key === "stealthOnCreate") {
+    found = check(actor?.prototypeToken?.getFlag(MODULE_ID, key), "prototype");
+  }
+  if (!found && key === "stealthOnCreate" && isPartyToken(tokenDoc)) return { value: false, source: "party" };
+  for (let folder = actor?.folder; !found && folder; folder = folder.folder) {
+    found = check(folder.getFlag(MODULE_ID, key), "folder");
+  }
+  if (!found && placed) found = check(tokenDoc.parent?.getFlag(MODULE_ID, key), "scene");
+  return found ?? { value: normalizeInheritedValue(key, game.settings?.get(MODULE_ID, INHERITED_SETTINGS[key])), source: "world" };
+}
+
+/**
+ * Describe the value a token would inherit for a setting, for display in the
+ * token configuration sheet.
+ *
+ * @param {TokenDocument|PrototypeToken} tokenDoc
+ * @param {string} key
+ * @param {Function} format  Formats the resolved value for display
+ * @returns {string}
+ */
+function describeInheritedSetting(tokenDoc, key, format) {
+  const { value, source } = resolveVisibilitySetting(tokenDoc, key, { skipToken: true });
+  return `Default: ${format(value)}, from ${SETTING_SOURCES[source]}.`;
+}
+
+/* -------------------- zones -------------------- */
+
+/** How linked zones combine with the minimum distance, keyed by the "zoneLogic" flag. */
+const ZONE_LOGIC = {
+  or: "In range OR inside a linked area",
+  and: "In range AND inside a linked area"
+};
+
+/**
+ * Resolve the Regions and Drawings linked to a token as reveal zones. Links are
+ * stored as UUIDs; ones that were deleted or belong to another scene are ignored.
+ *
+ * @param {TokenDocument} tokenDoc
+ * @returns {Array<RegionDocument|DrawingDocument>}
+ */
+function linkedZonesOf(tokenDoc) {
+  const uuids = tokenDoc.getFlag(MODULE_ID, "zones");
+  if (!Array.isArray(uuids) || !uuids.length || tokenDoc.documentName !== "Token") return [];
+  return uuids
+    .map(uuid => fromUuidSync(uuid))
+    .filter(zone => zone && zone.parent === tokenDoc.parent);
+}
+
+/**
+ * Test whether a point lies within a Drawing's shape, accounting for its
+ * rotation. Rectangles and ellipses use their bounds; everything else is
+ * treated as a polygon of its points.
+ *
+ * @param {DrawingDocument} drawingDoc
+ * @param {{x: number, y: number}} point
+ * @returns {boolean}
+ */
+function drawingContainsPoint(drawingDoc, point) {
+  const { shape, x, y, rotation } = drawingDoc;
+  const w = shape.width ?? 0;
+  const h = shape.height ?? 0;
+  // Move the point into the drawing's unrotated local space.
+  const angle = -Math.toRadians(rotation ?? 0);
+  const dx = point.x - (x + w / 2);
+  const dy = point.y - (y + h / 2);
+  const lx = dx * Math.cos(angle) - dy * Math.sin(angle) + w / 2;
+  const ly = dx * Math.sin(angle) + dy * Math.cos(angle) + h / 2;
+
+  if (shape.type === "r") return lx >= 0 && lx <= w && ly >= 0 && ly <= h;
+  if (shape.type === "e") {
+    if (!w || !h) return false;
+    return (((lx - w / 2) / (w / 2)) ** 2) + (((ly - h / 2) / (h / 2)) ** 2) <= 1;
+  }
+  const points = shape.points ?? [];
+  return points.length >= 6 && new PIXI.Polygon(points).contains(lx, ly);
+}
+
+/**
+ * Test whether an anchor's center lies inside a linked Region or Drawing.
+ * Regions are tested with their own shapes and elevation range; v13 offers this
+ * on the document and v12 on the placed Region object.
+ *
+ * @param {TokenDocument} anchorDoc
+ * @param {RegionDocument|DrawingDocument} zone
+ * @returns {boolean}
+ */
+function isInsideZone(anchorDoc, zone) {
+  const point = centerOf(anchorDoc);
+  const elevation = anchorDoc.elevation ?? 0;
+  if (zone.documentName === "Region") {
+    if (typeof zone.testPoint === "function") return zone.testPoint({ ...point, elevation });
+    return !!zone.object?.testPoint?.(point, elevation);
+  }
+  if (zone.documentName === "Drawing") return drawingContainsPoint(zone, point);
+  return false;
+}
+
+/* -------------------- GM overrides -------------------- */
+
+/** Per-token override states, keyed by the value of the "override" flag. */
+const OVERRIDE_STATES = {
+  auto: "Automatic",
+  visible: "Forced visible",
+  hidden: "Forced hidden"
+};
+
+/** When an override lapses back to automatic, keyed by the "overrideExpiry" flag. */
+const OVERRIDE_EXPIRY = {
+  never: "Never",
+  combat: "At the end of combat",
+  time: "After a number of minutes"
+};
+
+/**
+ * Flags that restart an override's expiry when they change, with the function
+ * that maps a stored or submitted value, including none, to what it means.
+ */
+const OVERRIDE_FLAGS = {
+  override: value => value || "auto",
+  overrideExpiry: value => value || "never",
+  overrideMinutes: value => (value === undefined || value === null || value === "" ? null : Number(value))
+};
+
+/**
+ * Test whether a token's override has run out. Time-limited overrides count
+ * world time from when they were set; combat-limited ones end with the combat
+ * that was running when they were set. Combat overrides set outside of combat
+ * end with the next combat, which deleteCombat takes care of.
+ *
+ * @param {TokenDocument} tokenDoc
+ * @returns {boolean}
+ */
+function isOverrideExpired(tokenDoc) {
+  const expiry = tokenDoc.getFlag(MODULE_ID, "overrideExpiry");
+  const setAt = tokenDoc.getFlag(MODULE_ID, "overrideSetAt") ?? {};
+  if (expiry === "time") {
+    const minutes = Number(tokenDoc.getFlag(MODULE_ID, "overrideMinutes"));
+    if (!(minutes > 0)) return false;
+    return (game.time?.worldTime ?? 0) - (setAt.worldTime ?? 0) >= minutes * 60;
+  }
+  if (expiry === "combat") return !!setAt.combatId && !game.combats?.has(setAt.combatId);
+  return false;
+}
+
+/**
+ * The forced state of a token, or null when proximity decides.
+ *
+ * @param {TokenDocument} tokenDoc
+ * @returns {"visible"|"hidden"|null}
+ */
+function activeOverrideOf(tokenDoc) {
+  const state = tokenDoc.getFlag?.(MODULE_ID, "override");
+  if (state !== "visible" && state !== "hidden") return null;
+  return isOverrideExpired(tokenDoc) ? null : state;
+}
+
+/**
+ * Force a token visible or hidden, or hand it back to proximity with "auto".
+ * Forcing also applies the hidden state straight away.
+ *
+ * @param {TokenDocument} tokenDoc
+ * @param {string} state  One of OVERRIDE_STATES
+ */
+async function setOverride(tokenDoc, state) {
+  await tokenDoc.update(overrideUpdateOf(state));
+}
+
+/**
+ * The token update that sets an override, for batching it across tokens.
+ *
+ * @param {string} state  One of OVERRIDE_STATES
+ * @returns {object}
+ */
+function overrideUpdateOf(state) {
+  const update = { [`flags.${MODULE_ID}.override`]: state };
+  if (state !== "auto") update.hidden = state === "hidden";
+  return update;
+}
+
+/**
+ * Turn a GM's hand-set change of a managed token's hidden state, such as the
+ * Token HUD's visibility toggle or a macro calling update, into the matching
+ * override so proximity does not undo it. The module's own updates are marked
+ * as proximity-driven or set the override themselves and are left alone.
+ *
+ * @param {TokenDocument} tokenDoc
+ * @param {object} changes
+ * @param {object} options
+ */
+function overrideManualVisibility(tokenDoc, changes, options) {
+  if (!game.user.isGM || !("hidden" in changes) || options?.[MODULE_ID]?.proximity) return;
+  if (foundry.utils.hasProperty(changes, `flags.${MODULE_ID}.override`)) return;
+  if (changes.hidden === tokenDoc.hidden || !isProximityManaged(tokenDoc)) return;
+  foundry.utils.setProperty(changes, `flags.${MODULE_ID}.override`, changes.hidden ? "hidden" : "visible");
+}
+
+/**
+ * Stamp the world time and current combat on a token whenever its override
+ * changes, so expiry is measured from that moment. The token sheet submits the
+ * override fields on every save, so values that mean the same as the stored
+ * ones are dropped first and neither write flags nor restart the expiry.
+ *
+ * @param {TokenDocument} tokenDoc
+ * @param {object} changes
+ */
+function stampOverrideChange(tokenDoc, changes) {
+  const flags = changes.flags?.[MODULE_ID];
+  if (!flags) return;
+  for (const [key, meaning] of Object.entries(OVERRIDE_FLAGS)) {
+    if (key in flags && meaning(flags[key]) === meaning(tokenDoc.getFlag(MODULE_ID, key))) delete flags[key];
+  }
+  if (!Object.keys(OVERRIDE_FLAGS).some(key => key in flags)) return;
+  flags.overrideSetAt = { worldTime: game.time?.worldTime ?? 0, combatId: game.combat?.id ?? null };
+}
+
+/**
+ * Primary-GM: return expired overrides to automatic across all scenes. When a
+ * combat ends, combat-limited overrides tied to it, or set outside of combat,
+ * end too.
+ *
+ * @param {Combat} [endedCombat]
+ */
+async function clearExpiredOverrides(endedCombat) {
+  if (!isPrimaryGM()) return;
+  for (const scene of game.scenes ?? []) {
+    const updates = scene.tokens
+      .filter(td => {
+        const state = td.getFlag(MODULE_ID, "override");
+        if (state !== "visible" && state !== "hidden") return false;
+        if (isOverrideExpired(td)) return true;
+        if (!endedCombat || td.getFlag(MODULE_ID, "overrideExpiry") !== "combat") return false;
+        const combatId = td.getFlag(MODULE_ID, "overrideSetAt")?.combatId;
+        return !combatId || combatId === endedCombat.id;
+      })
+      .map(td => ({ _id: td.id, [`flags.${MODULE_ID}.override`]: "auto" }));
+    if (updates.length) await scene.updateEmbeddedDocuments("Token", updates);
+  }
+}
+
+/**
+ * Add an override button to the left column of the Token HUD. Clicking cycles
+ * automatic, forced visible and forced hidden; right-clicking returns to
+ * automatic. The HUD element is a jQuery wrapper in v12 and an HTMLElement in v13.
+ *
+ * @param {TokenHUD} hud
+ * @param {HTMLElement|jQuery} html
+ */
+function renderOverrideHUDControl(hud, html) {
+  if (!game.user.isGM) return;
+  const root = html instanceof HTMLElement ? html : html?.[0];
+  const tokenDoc = hud.object?.document;
+  const column = root?.querySelector(".col.left");
+  if (!column || !tokenDoc || column.querySelector(".mvd-override")) return;
+
+  const state = activeOverrideOf(tokenDoc) ?? "auto";
+  const icons = { auto: "fa-eye-low-vision", visible: "fa-eye", hidden: "fa-eye-slash" };
+  const button = document.createElement("button");
+  button.type = "button";
+  button.classList.add("control-icon", "mvd-override");
+  if (state !== "auto") button.classList.add("active");
+  button.dataset.tooltip = `Minimum Visibility: ${OVERRIDE_STATES[state]}`;
+  button.innerHTML = `<i class="fas ${icons[state]}"></i>`;
+
+  const apply = async (event, next) => {
+    event.preventDefault();
+    event.stopPropagation();
+    await setOverride(tokenDoc, next);
+    hud.render?.();
+  };
+  const order = Object.keys(OVERRIDE_STATES);
+  button.addEventListener("click", event => apply(event, order[(order.indexOf(state) + 1) % order.length]));
+  button.addEventListener("contextmenu", event => apply(event, "auto"));
+  column.appendChild(button);
+}
+
+/* -------------------- lighting and vision -------------------- */
+
+/** Lighting levels at a point, from darkest to brightest. */
+const LIGHTING = { dark: 0, dim: 1, bright: 2 };
+
+/**
+ * Detection modes that rely on light to see. Any other enabled mode, such as
+ * tremorsense or blindsight, notices tokens within its range whatever the
+ * lighting.
+ */
+const LIGHT_DEPENDENT_DETECTION = new Set(["basicSight", "lightPerception", "seeInvisibility"]);
+
+function lightModifiersEnabled() {
+  return !!game.settings?.get(MODULE_ID, "lightModifiers");
+}
+
+/**
+ * Estimate the lighting at a point. The scene's darkness level sets the base:
+ * below 0.25 is bright, below 0.75 dim and anything darker is dark. Global
+ * illumination within its darkness threshold makes everything bright, and each
+ * light source whose area contains the point raises it to dim or bright
+ * depending on the radius it falls within. Darkness and global illumination are
+ * read from the scene document rather than the canvas, which animates towards
+ * them; lightingRefresh recomputes once light sources settle.
+ *
+ * @param {{x: number, y: number}} point
+ * @returns {number} One of LIGHTING
+ */
+function lightingAt(point) {
+  const scene = canvas.scene;
+  const darkness = scene?.environment?.darknessLevel ?? scene?.darkness ?? 0;
+  let level = darkness < 0.25 ? LIGHTING.bright : darkness < 0.75 ? LIGHTING.dim : LIGHTING.dark;
+  const globalLight = scene?.environment?.globalLight;
+  const globalLit = globalLight
+    ? globalLight.enabled && darkness <= (globalLight.darkness?.max ?? 1)
+    : !!scene?.globalLight && darkness <= (scene.globalLightThreshold ?? 1);
+  if (globalLit) return LIGHTING.bright;
+  for (const source of canvas.effects?.lightSources ?? []) {
+    if (level === LIGHTING.bright) break;
+    if (!source.active || source.isDarknessSource || !source.shape?.contains(point.x, point.y)) continue;
+    const r = Math.hypot(point.x - source.data.x, point.y - source.data.y);
+    if (r <= (source.data.bright ?? 0)) level = LIGHTING.bright;
+    else if (r <= (source.data.dim ?? 0)) level = Math.max(level, LIGHTING.dim);
+  }
+  return level;
+}
+
+/**
+ * Read a token's detection modes with their ids, whether stored as an array or
+ * as a record keyed by id.
+ *
+ * @param {TokenDocument} tokenDoc
+ * @returns {Array<{id: string, enabled: boolean, range: number|null}>}
+ */
+function detectionModesOf(tokenDoc) {
+  const modes = tokenDoc.detectionModes ?? [];
+  return Array.isArray(modes) ? modes : Object.entries(modes).map(([id, mode]) => ({ id, ...mode }));
+}
+
+/**
+ * The reveal cutoff, in scene units, between an anchor and a target under the
+ * lighting at the target. The base cutoff is scaled by the multiplier for the
+ * lighting level. Darkvision treats the lighting as one step brighter within
+ * its sight range, and detection modes that don't need light use the full
+ * cutoff within their own range. Multipliers never exceed one, so the result
+ * is never more than the base cutoff.
+ *
+ * @param {TokenDocument} anchorDoc
+ * @param {number} lighting     One of LIGHTING
+ * @param {number} baseCutoff   Scene units
+ * @returns {number}
+ */
+function visionCutoffOf(anchorDoc, lighting, baseCutoff) {
+  const multipliers = [
+    Math.clamp(Number(game.settings.get(MODULE_ID, "darkMultiplier")) || 0, 0, 1),
+    Math.clamp(Number(game.settings.get(MODULE_ID, "dimMultiplier")) || 0, 0, 1),
+    1
+  ];
+  let cutoff = baseCutoff * multipliers[lighting];
+  const sight = anchorDoc.sight ?? {};
+  if (sight.enabled && sight.visionMode === "darkvision" && lighting < LIGHTING.bright) {
+    cutoff = Math.max(cutoff, Math.min(baseCutoff * multipliers[lighting + 1], Number(sight.range) || 0));
+  }
+  for (const mode of detectionModesOf(anchorDoc)) {
+    if (!mode.enabled || LIGHT_DEPENDENT_DETECTION.has(mode.id)) continue;
+    const range = mode.range === null || mode.range === undefined ? Infinity : Number(mode.range) || 0;
+    cutoff = Math.max(cutoff, Math.min(baseCutoff, range));
+  }
+  return cutoff;
+}
+
+/**
+ * Build the per-anchor cutoff for a target. Without light modifiers every
+ * anchor gets the base cutoff; with them the lighting at the target is worked
+ * out once, when the first anchor needs it.
+ *
+ * @param {Document} targetDoc
+ * @param {number} baseCutoff  Scene units
+ * @returns {function(TokenDocument): number}
+ */
+function cutoffForAnchors(targetDoc, baseCutoff) {
+  if (!lightModifiersEnabled() || !Number.isFinite(baseCutoff)) return () => baseCutoff;
+  let lighting = null;
+  return anchorDoc => {
+    lighting ??= lightingAt(centerOf(targetDoc));
+    return visionCutoffOf(anchorDoc, lighting, baseCutoff);
+  };
+}
+
+/** How long the lighting must stop refreshing before visibility is recomputed. */
+const LIGHTING_REFRESH_DELAY_MS = 250;
+
+/**
+ * Light sources move and animate on the canvas after their documents change, and
+ * the lighting refreshes many times meanwhile. Recompute once, after it settles.
+ */
+function onLightingRefresh() {
+  if (!lightModifiersEnabled()) return;
+  clearTimeout(onLightingRefresh._t);
+  onLightingRefresh._t = setTimeout(routeApplyAll, LIGHTING_REFRESH_DELAY_MS);
+}
+
 /* -------------------- core logic -------------------- */
 
-function desiredHiddenState(tokenDoc) {
-  // Always reveal player-owned tokens. They should never be auto-hidden.
-  const actor = game.actors?.get(tokenDoc.actorId);
-  if (actor?.hasPlayerOwner) return false;
+/**
+ * Ways a distance-managed token can be revealed, keyed by the value of the
+ * "revealMode" token flag.
+ */
+const REVEAL_MODES = {
+  distance: "Distance",
+  perception: "Passive Perception vs. Stealth"
+};
+
+/**
+ * Read an anchor's passive Perception from its (possibly synthetic) actor using
+ * the configurable data path. Anchors without a usable value cannot perceive
+ * hidden tokens at all.
+ *
+ * @param {TokenDocument} anchorDoc
+ * @returns {number}
+ */
+function passivePerceptionOf(anchorDoc) {
+  const path = game.settings?.get(MODULE_ID, "perceptionPath") || "system.skills.prc.passive";
+  const value = Number(foundry.utils.getProperty(anchorDoc.actor ?? {}, path));
+  return Number.isFinite(value) ? value : -Infinity;
+}
+
+/**
+ * Read the minimum visibility distance (in feet) that applies to a token, as set
+ * on the token or inherited from its folder, scene or the world. If the value is
+ * NaN or non-positive there is no minimum, so a token can opt out of a scene
+ * default by setting zero.
+ *
+ * @param {TokenDocument} tokenDoc
+ * @returns {number|null}
+ */
+function revealDistanceOf(tokenDoc) {
+  const raw = resolveVisibilitySetting(tokenDoc, "distance").value;
+  const feet = Number(raw);
+  if (raw === undefined || raw === null || raw === "" || Number.isNaN(feet) || feet <= 0) return null;
+  return feet;
+}
 
-  // Retrieve the minimum visibility distance set on the token. If the flag is
-  // undefined, null, an empty string, NaN or non-positive, treat it as no
-  // minimum and leave the token's current hidden state unchanged.
-  const raw = tokenDoc.getFlag(MODULE_ID, "distance");
+/**
+ * Read the glimpse distance (in feet) of a token: the larger range within which
+ * players see a silhouette of it before it is fully revealed. Only a distance
+ * beyond the full reveal distance has any effect.
+ *
+ * @param {TokenDocument} tokenDoc
+ * @returns {number|null}
+ */
+function glimpseDistanceOf(tokenDoc) {
+  const raw = tokenDoc.getFlag(MODULE_ID, "glimpseDistance");
   const feet = Number(raw);
-  if (raw === undefined || raw === null || raw === "" || Number.isNaN(feet) || feet <= 0) {
-    return tokenDoc.hidden;
+  if (raw === undefined || raw === null || raw === "" || Number.isNaN(feet) || feet <= 0) return null;
+  const full = revealDistanceOf(tokenDoc);
+  return full === null || feet > full ? feet : null;
+}
+
+/**
+ * Find the nearest anchor within a token's glimpse distance, for tokens that no
+ * anchor fully reveals. Glimpses depend on distance, level and line of sight
+ * only; linked areas and Perception decide the full reveal.
+ *
+ * @param {TokenDocument} tokenDoc
+ * @param {TokenDocument[]} anchors
+ * @param {string} mode  The measurement mode
+ * @returns {{hidden: boolean, glimpse?: boolean, anchor?: TokenDocument, distance?: number}}
+ */
+function evaluateGlimpse(tokenDoc, anchors, mode) {
+  const feet = glimpseDistanceOf(tokenDoc);
+  if (feet === null) return { hidden: true };
+  const cutoffFor = cutoffForAnchors(tokenDoc, feetToSceneUnits(feet));
+  const inRange = anchors
+    .filter(anchor => onSameLevel(anchor, tokenDoc))
+    .map(anchor => ({ anchor, distance: distanceBetweenDocs(anchor, tokenDoc, mode) }))
+    .filter(e => e.distance <= cutoffFor(e.anchor))
+    .sort((a, b) => a.distance - b.distance);
+  const glimpser = tokenDoc.getFlag(MODULE_ID, "requireLineOfSight")
+    ? inRange.find(e => hasLineOfSight(e.anchor, tokenDoc))
+    : inRange[0];
+  if (!glimpser) return { hidden: true };
+  return { hidden: false, glimpse: true, anchor: glimpser.anchor, distance: glimpser.distance };
+}
+
+/**
+ * Whether the module controls this token's visibility at all. Party tokens
+ * never are; others are when they have a minimum distance or use the
+ * Perception reveal mode.
+ *
+ * @param {TokenDocument} tokenDoc
+ * @returns {boolean}
+ */
+function isProximityManaged(tokenDoc) {
+  if (isPartyToken(tokenDoc)) return false;
+  return revealDistanceOf(tokenDoc) !== null
+    || resolveVisibilitySetting(tokenDoc, "revealMode").value === "perception"
+    || linkedZonesOf(tokenDoc).length > 0;
+}
+
+/**
+ * Work out whether a token should currently be hidden and, when proximity is
+ * what reveals it, which player anchor did so and from how far away. Tokens
+ * that are only within their glimpse distance are visible with `glimpse` set,
+ * and players see them as a silhouette.
+ *
+ * @param {TokenDocument} tokenDoc
+ * @param {object} [options]
+ * @param {TokenDocument[]} [options.anchors]  The anchors that may reveal the token
+ * @param {User} [options.user]  In per-player mode, whose sticky discovery counts
+ * @returns {{hidden: boolean, glimpse?: boolean, override?: boolean, anchor?: TokenDocument, distance?: number}}
+ */
+function evaluateVisibility(tokenDoc, { anchors = getPlayerAnchorDocs(), user } = {}) {
+  // A GM override wins over everything else until it is set back to automatic
+  // or expires.
+  const override = activeOverrideOf(tokenDoc);
+  if (override) return { hidden: override === "hidden", override: true };
+
+  // Always reveal party tokens. They should never be auto-hidden. The token's
+  // own actor is read so unlinked tokens use their synthetic actor data.
+  if (isPartyToken(tokenDoc)) return { hidden: false };
+
+  // Tokens without a minimum distance are left in their current hidden state.
+  // Perception mode also manages the token without a distance, in which case
+  // any anchor on the scene is close enough to try.
+  if (!isProximityManaged(tokenDoc)) return { hidden: tokenDoc.hidden };
+  const feet = revealDistanceOf(tokenDoc);
+  // A token never reveals itself
+  anchors = anchors.filter(anchor => anchor.id !== tokenDoc.id);
+  const perception = resolveVisibilitySetting(tokenDoc, "revealMode").value === "perception";
+  const mode = resolveVisibilitySetting(tokenDoc, "measurementMode").value;
+
+  // Once a sticky token has been discovered it stays revealed regardless of
+  // where the party goes, until the GM resets its discovery. In per-player
+  // mode only the user's own discovery counts.
+  if (tokenDoc.getFlag(MODULE_ID, "stickyReveal") && isDiscovered(tokenDoc, user)) {
+    return { hidden: false };
   }
 
   // If there are no player-owned tokens on the scene, remain hidden until one appears.
-  const anchors = getPlayerAnchorDocs();
-  if (!anchors.length) return true;
+  if (!anchors.length) return { hidden: true };
+
+  // Convert the threshold to scene units, adjusted per anchor for lighting and
+  // vision when enabled, and collect the anchors on the same level within
+  // range, nearest first. Linked zones combine with the distance per anchor: either
+  // being inside a zone or in range is enough, or both are required. Without a
+  // distance the zones alone decide.
+  const cutoffFor = cutoffForAnchors(tokenDoc, feet !== null ? feetToSceneUnits(feet) : Infinity);
+  const zones = linkedZonesOf(tokenDoc);
+  const requireBoth = tokenDoc.getFlag(MODULE_ID, "zoneLogic") === "and";
+  let inRange = anchors
+    .filter(anchor => onSameLevel(anchor, tokenDoc))
+    .map(anchor => ({ anchor, distance: distanceBetweenDocs(anchor, tokenDoc, mode) }))
+    .filter(e => {
+      const withinDistance = e.distance <= cutoffFor(e.anchor);
+      if (!zones.length) return withinDistance;
+      const inZone = zones.some(zone => isInsideZone(e.anchor, zone));
+      if (feet === null) return inZone;
+      return requireBoth ? withinDistance && inZone : withinDistance || inZone;
+    })
+    .sort((a, b) => a.distance - b.distance);
+
+  // In Perception mode only anchors whose passive Perception meets or beats the
+  // stored Stealth total can notice the token. Without a stored total there is
+  // nothing to beat, so range alone decides.
+  const rawStealth = tokenDoc.getFlag(MODULE_ID, "stealth");
+  const stealth = Number(rawStealth);
+  if (perception && rawStealth !== null && rawStealth !== "" && Number.isFinite(stealth)) {
+    inRange = inRange.filter(e => passivePerceptionOf(e.anchor) >= stealth);
+  }
+  if (!inRange.length) return evaluateGlimpse(tokenDoc, anchors, mode);
+
+  // Range is checked first so that the comparatively expensive wall collision
+  // test only runs for anchors that are close enough to matter.
+  const revealer = tokenDoc.getFlag(MODULE_ID, "requireLineOfSight")
+    ? inRange.find(e => hasLineOfSight(e.anchor, tokenDoc))
+    : inRange[0];
+  if (!revealer) return evaluateGlimpse(tokenDoc, anchors, mode);
+  return { hidden: false, anchor: revealer.anchor, distance: revealer.distance };
+}
 
-  // Convert the threshold to scene units and compare against the nearest anchor.
-  const cutoffSceneUnits = feetToSceneUnits(feet);
-  const nearest = Math.min(...anchors.map(a => distanceBetweenDocs(a, tokenDoc)));
-  const within = nearest <= cutoffSceneUnits;
-  return !within;
+/**
+ * GM-only: scan and update hidden flags.
+ *
+ * Fires the following hooks on the GM client doing the update:
+ *  - preProximityReveal(tokenDoc, {anchor, distance}): return false to keep the token hidden
+ *  - proximityReveal(tokenDoc, {anchor, distance}): after proximity revealed the token
+ *  - proximityConceal(tokenDoc): after proximity hid the token
+ */
+async function applyAllGM(sceneId) {
+  if (!isPrimaryGM()) return;                 // safety
+  if (!canvas?.ready || !canvas.scene) return;
+  if (sceneId && sceneId !== canvas.scene.id) return;
+  const anchors = getPlayerAnchorDocs();
+  await applyStatesGM(canvas.scene.tokens.contents, () => anchors);
+  await applyPlaceablesGM(managedPlaceablesOf(canvas.scene), () => anchors);
+}
+
+/**
+ * GM-only: evaluate the given tokens of the viewed scene and write any changed
+ * hidden state, discovery records and notifications. applyAllGM passes every
+ * token; the incremental engine passes only the dirty ones.
+ *
+ * @param {TokenDocument[]} tokenDocs
+ * @param {Function} anchorsFor  Returns the anchors that may reveal a token
+ */
+async function applyStatesGM(tokenDocs, anchorsFor) {
+  // In per-player mode each client conceals managed tokens locally, so the
+  // shared hidden field must leave them visible for the clients to decide.
+  const perUser = getVisibilityScope() === "perUser";
+  const userAnchors = new Map();
+  const updates = [];
+  const fadeOuts = [];
+  const reveals = [];
+  const conceals = [];
+  for (const td of tokenDocs) {
+    const state = evaluateVisibility(td, { anchors: anchorsFor(td) });
+    const hidden = perUser && isProximityManaged(td) && !state.override ? false : state.hidden;
+    const glimpse = !perUser && !hidden && !!state.glimpse;
+    const wasGlimpse = !!td.getFlag(MODULE_ID, "glimpse");
+    const update = {};
+    if (td.hidden !== hidden) update.hidden = hidden;
+    if (wasGlimpse !== glimpse) update[`flags.${MODULE_ID}.glimpse`] = glimpse;
+    // Record the first proximity reveal of a sticky token so later recomputes
+    // leave it visible; per player in per-player mode.
+    if (perUser) Object.assign(update, perUserDiscoveryUpdate(td, anchorsFor(td), userAnchors));
+    else if (state.anchor && !state.glimpse && td.getFlag(MODULE_ID, "stickyReveal") && !isDiscovered(td)) {
+      update[`flags.${MODULE_ID}.discovered`] = discoveryRecord(state);
+    }
+    if (!Object.keys(update).length) continue;
+
+    // Per-player mode only clears hidden for the clients to take over, which
+    // is not a reveal the table should see or hear about. A glimpse is not a
+    // reveal either, but going from a glimpse to the real token is. Other code
+    // may veto a proximity reveal by returning false from preProximityReveal.
+    const proximityReveal = !perUser && (td.hidden || wasGlimpse) && !hidden && !glimpse && !!state.anchor;
+    const context = { anchor: state.anchor, distance: state.distance };
+    if (proximityReveal && Hooks.call("preProximityReveal", td, context) === false) continue;
+    if (proximityReveal) reveals.push({ tokenDoc: td, state });
+    const fadeOut = !perUser && update.hidden === true && td.getFlag(MODULE_ID, "fade");
+    // A token already fading out is hidden by hideFadedTokens
+    if (fadeOut && fadingOut.has(td.id)) continue;
+    if (!perUser && update.hidden === true && !state.override && !fadeOut) conceals.push(td);
+    if (fadeOut) fadeOuts.push({ _id: td.id, ...update });
+    else updates.push({ _id: td.id, ...update });
+  }
+  // Mark the update as proximity-driven so clients can fade revealed tokens in.
+  const options = { [MODULE_ID]: { proximity: true } };
+  if (updates.length) await canvas.scene.updateEmbeddedDocuments("Token", updates, options);
+  for (const { tokenDoc, state } of reveals) {
+    Hooks.callAll("proximityReveal", tokenDoc, { anchor: state.anchor, distance: state.distance });
+  }
+  if (reveals.length) await announceReveals(reveals);
+
+  // Fading tokens out has to happen while players can still see them, so play
+  // the fade everywhere first and hide them once it has finished. The write
+  // is scheduled rather than awaited so the recompute is not held up.
+  if (fadeOuts.length) {
+    const ids = fadeOuts.map(u => u._id);
+    game.socket?.emit(SOCKET, { op: "fadeOut", sceneId: canvas.scene.id, ids });
+    for (const id of ids) fadingOut.add(id);
+    setTimeout(() => hideFadedTokens(canvas.scene, fadeOuts, options), getFadeDuration());
+  }
+  for (const td of conceals) {
+    if (td.hidden) Hooks.callAll("proximityConceal", td);
+  }
+}
+
+/** Ids of tokens whose fade out is playing, before hideFadedTokens hides them. */
+const fadingOut = new Set();
+
+/**
+ * Executor-only: hide tokens whose fade out has played, unless they were hidden
+ * some other way or proximity would reveal them again by now.
+ *
+ * @param {Scene} scene
+ * @param {object[]} fadeOuts  The hidden updates held back for the fade
+ * @param {object} options     Update options
+ */
+async function hideFadedTokens(scene, fadeOuts, options) {
+  for (const u of fadeOuts) fadingOut.delete(u._id);
+  if (!isPrimaryGM() || !scene) return;
+  const stillVisible = fadeOuts.filter(u => {
+    const td = scene.tokens.get(u._id);
+    return td?.hidden === false && (scene !== canvas?.scene || evaluateVisibility(td).hidden);
+  });
+  if (!stillVisible.length) return;
+  try {
+    await scene.updateEmbeddedDocuments("Token", stillVisible, options);
+  } catch (err) {
+    console.error(`[${MODULE_ID}] Failed to hide faded tokens:`, err);
+    return;
+  }
+  for (const u of stillVisible) {
+    const td = scene.tokens.get(u._id);
+    if (td?.hidden && !activeOverrideOf(td)) Hooks.callAll("proximityConceal", td);
+  }
+}
+
+/* -------------------- per-player visibility -------------------- */
+
+/**
+ * Where proximity visibility is applied, keyed by the "visibilityScope" setting:
+ * globally through the token's hidden field, or locally on each player's client
+ * against that player's own tokens.
+ */
+const VISIBILITY_SCOPES = {
+  global: "Everyone (toggle hidden)",
+  perUser: "Per player (local to each client)"
+};
+
+function getVisibilityScope() {
+  const scope = game.settings?.get(MODULE_ID, "visibilityScope");
+  return scope in VISIBILITY_SCOPES ? scope : "global";
+}
+
+/** Ids of tokens this client currently conceals in per-player mode. */
+let locallyConcealed = new Set();
+
+/** Ids of tokens this client currently shows as a glimpse in per-player mode. */
+let locallyGlimpsed = new Set();
+
+/**
+ * Player-side: recompute which managed tokens this user should not see, based
+ * on the tokens this user owns, and refresh the visibility of any token whose
+ * state changed. GMs always see everything.
+ */
+function applyLocalVisibility() {
+  const concealed = new Set();
+  const glimpsed = new Set();
+  if (!game.user.isGM && getVisibilityScope() === "perUser" && canvas?.ready && canvas.scene) {
+    const anchors = getPlayerAnchorDocs(game.user);
+    for (const td of canvas.scene.tokens) {
+      if (!isProximityManaged(td)) continue;
+      const state = evaluateVisibility(td, { anchors, user: game.user });
+      if (state.hidden) concealed.add(td.id);
+      else if (state.glimpse && !state.override) glimpsed.add(td.id);
+    }
+  }
+  const changed = new Set([...concealed].filter(id => !locallyConcealed.has(id)));
+  for (const id of locallyConcealed) if (!concealed.has(id)) changed.add(id);
+  locallyConcealed = concealed;
+  for (const id of changed) canvas.tokens?.get(id)?.renderFlags.set({ refreshVisibility: true });
+
+  const glimpseChanged = [...glimpsed].filter(id => !locallyGlimpsed.has(id))
+    .concat([...locallyGlimpsed].filter(id => !glimpsed.has(id)));
+  locallyGlimpsed = glimpsed;
+  for (const id of glimpseChanged) canvas.tokens?.get(id)?.renderFlags.set({ redraw: true });
+  if (glimpseChanged.length) ui.combat?.render();
+}
+
+/**
+ * Wrap a placeable class's visibility getter so locally concealed objects are
+ * reported as not visible, without replacing the original logic.
+ *
+ * @param {Function} cls           The placeable object class
+ * @param {string} property        The getter to wrap, e.g. "isVisible"
+ * @param {Function} isConcealed   Receives the placeable; true hides it
+ */
+function wrapVisibilityGetter(cls, property, isConcealed) {
+  let proto = cls?.prototype;
+  let descriptor;
+  while (proto && !(descriptor = Object.getOwnPropertyDescriptor(proto, property))) {
+    proto = Object.getPrototypeOf(proto);
+  }
+  if (!descriptor?.get) return;
+  Object.defineProperty(cls.prototype, property, {
+    configurable: true,
+    get() {
+      return descriptor.get.call(this) && !isConcealed(this);
+    }
+  });
+}
+
+/* -------------------- tiles, notes and sounds -------------------- */
+
+/**
+ * Placeable documents besides tokens that proximity can reveal, keyed by
+ * document name, with the getter on their placeable object that decides
+ * whether players see or hear them.
+ */
+const PLACEABLE_TYPES = {
+  Tile: { visibility: "isVisible" },
+  Note: { visibility: "isVisible" },
+  AmbientSound: { visibility: "isAudible" }
+};
+
+/** Keys (`DocumentName.id`) of placeables this client currently conceals in per-player mode. */
+let locallyConcealedPlaceables = new Set();
+
+function placeableKeyOf(doc) {
+  return `${doc.documentName}.${doc.id}`;
+}
+
+/**
+ * Whether a document type has a hidden field. Tiles and ambient Sounds do;
+ * Notes don't, so they are concealed through the "concealed" flag instead.
+ *
+ * @param {Document} doc
+ * @returns {boolean}
+ */
+function usesHiddenField(doc) {
+  return !!doc.constructor.schema?.fields?.hidden;
+}
+
+function isPlaceableConcealed(doc) {
+  return usesHiddenField(doc) ? !!doc.hidden : !!doc.getFlag(MODULE_ID, "concealed");
+}
+
+/**
+ * Read the minimum visibility distance (in feet) of a Tile, Note or ambient
+ * Sound. Unlike tokens, these never inherit a default, so only placeables set
+ * up for it are managed.
+ *
+ * @param {TileDocument|NoteDocument|AmbientSoundDocument} doc
+ * @returns {number|null}
+ */
+function placeableDistanceOf(doc) {
+  const raw = doc.getFlag(MODULE_ID, "distance");
+  const feet = Number(raw);
+  if (raw === undefined || raw === null || raw === "" || Number.isNaN(feet) || feet <= 0) return null;
+  return feet;
+}
+
+/**
+ * Collect the managed Tiles, Notes and ambient Sounds of a scene.
+ *
+ * @param {Scene} scene
+ * @returns {Array<TileDocument|NoteDocument|AmbientSoundDocument>}
+ */
+function managedPlaceablesOf(scene) {
+  return Object.keys(PLACEABLE_TYPES)
+    .flatMap(type => scene.getEmbeddedCollection(type).contents)
+    .filter(doc => placeableDistanceOf(doc) !== null);
+}
+
+/**
+ * Work out whether a Tile, Note or ambient Sound should be hidden, with the same
+ * anchor, level, distance and line of sight rules as tokens.
+ *
+ * @param {TileDocument|NoteDocument|AmbientSoundDocument} doc
+ * @param {object} [options]
+ * @param {TokenDocument[]} [options.anchors]  The anchors that may reveal it
+ * @returns {{hidden: boolean, anchor?: TokenDocument, distance?: number}}
+ */
+function evaluatePlaceableVisibility(doc, { anchors = getPlayerAnchorDocs() } = {}) {
+  const feet = placeableDistanceOf(doc);
+  if (feet === null) return { hidden: isPlaceableConcealed(doc) };
+  if (!anchors.length) return { hidden: true };
+  const cutoffFor = cutoffForAnchors(doc, feetToSceneUnits(feet));
+  const mode = getMeasurementMode();
+  const inRange = anchors
+    .filter(anchor => onSameLevel(anchor, doc))
+    .map(anchor => ({ anchor, distance: distanceBetweenDocs(anchor, doc, mode) }))
+    .filter(e => e.distance <= cutoffFor(e.anchor))
+    .sort((a, b) => a.distance - b.distance);
+  const revealer = doc.getFlag(MODULE_ID, "requireLineOfSight")
+    ? inRange.find(e => hasLineOfSight(e.anchor, doc))
+    : inRange[0];
+  if (!revealer) return { hidden: true };
+  return { hidden: false, anchor: revealer.anchor, distance: revealer.distance };
+}
+
+/**
+ * How far, in pixels between centers, an anchor can be from a managed placeable
+ * and still reveal it; see reachOf.
+ *
+ * @param {TileDocument|NoteDocument|AmbientSoundDocument} doc
+ * @returns {number}
+ */
+function placeableReachOf(doc) {
+  const d = canvas.dimensions;
+  const cutoffPx = (feetToSceneUnits(placeableDistanceOf(doc) ?? 0) / d.distance) * d.size;
+  return cutoffPx * Math.SQRT2 + halfDiagonalOf(doc) + (engine.anchors?.padding ?? 0);
+}
+
+/**
+ * GM-only: evaluate Tiles, Notes and ambient Sounds of the viewed scene and
+ * write changes with one batched update per document type. In per-player mode
+ * they are left visible for the clients to conceal locally.
+ *
+ * @param {Array<TileDocument|NoteDocument|AmbientSoundDocument>} docs
+ * @param {Function} anchorsFor  Returns the anchors that may reveal a placeable
+ */
+async function applyPlaceablesGM(docs, anchorsFor) {
+  const perUser = getVisibilityScope() === "perUser";
+  const updates = {};
+  for (const doc of docs) {
+    const hidden = perUser ? false : evaluatePlaceableVisibility(doc, { anchors: anchorsFor(doc) }).hidden;
+    if (isPlaceableConcealed(doc) === hidden) continue;
+    const update = usesHiddenField(doc) ? { hidden } : { [`flags.${MODULE_ID}.concealed`]: hidden };
+    (updates[doc.documentName] ??= []).push({ _id: doc.id, ...update });
+  }
+  const options = { [MODULE_ID]: { proximity: true } };
+  for (const [type, list] of Object.entries(updates)) {
+    await canvas.scene.updateEmbeddedDocuments(type, list, options);
+  }
+}
+
+/**
+ * Player-side: recompute which managed placeables this user should not see or
+ * hear in per-player mode, and refresh the ones that changed.
+ */
+function applyLocalPlaceableVisibility() {
+  const concealed = new Set();
+  if (!game.user.isGM && getVisibilityScope() === "perUser" && canvas?.ready && canvas.scene) {
+    const anchors = getPlayerAnchorDocs(game.user);
+    for (const doc of managedPlaceablesOf(canvas.scene)) {
+      if (evaluatePlaceableVisibility(doc, { anchors }).hidden) concealed.add(placeableKeyOf(doc));
+    }
+  }
+  const changed = [...concealed].filter(key => !locallyConcealedPlaceables.has(key))
+    .concat([...locallyConcealedPlaceables].filter(key => !concealed.has(key)));
+  locallyConcealedPlaceables = concealed;
+  for (const key of changed) {
+    const [type, id] = key.split(".");
+    canvas.scene.getEmbeddedDocument(type, id)?.object?.renderFlags.set({ redraw: true });
+  }
+  if (changed.some(key => key.startsWith("AmbientSound."))) canvas.sounds?.refresh?.();
+}
+
+/**
+ * Whether players should currently not see or hear a placeable: Notes concealed
+ * through their flag, and anything concealed locally in per-player mode.
+ *
+ * @param {PlaceableObject} placeable
+ * @returns {boolean}
+ */
+function isPlaceableLocallyConcealed(placeable) {
+  const doc = placeable.document;
+  if (game.user.isGM || !doc) return false;
+  if (!usesHiddenField(doc) && doc.getFlag(MODULE_ID, "concealed")) return true;
+  return locallyConcealedPlaceables.has(placeableKeyOf(doc));
+}
+
+/**
+ * React to changes of a Tile, Note or ambient Sound on the viewed scene. Moving
+ * or reconfiguring a managed one needs a recompute; the module's own hidden and
+ * concealed updates do not. Players redraw Notes whose concealed flag changed.
+ *
+ * @param {TileDocument|NoteDocument|AmbientSoundDocument} doc
+ * @param {object} [changes]  Absent when the document was created
+ */
+function onPlaceableChange(doc, changes) {
+  if (doc.parent !== canvas?.scene) return;
+  const flags = changes?.flags?.[MODULE_ID] ?? {};
+  if ("concealed" in flags && !game.user.isGM) {
+    doc.object?.renderFlags.set({ redraw: true });
+    if (doc.documentName === "AmbientSound") canvas.sounds?.refresh?.();
+  }
+  const moved = !changes || ["x", "y", "elevation", "width", "height"].some(key => key in changes);
+  const reconfigured = Object.keys(flags).some(key => key !== "concealed");
+  if (reconfigured || (moved && placeableDistanceOf(doc) !== null)) routeApplyAll();
+}
+
+/**
+ * Add a Minimum Visibility section to the Tile, Note and ambient Sound
+ * configuration sheets, in the basic tab where there is one and otherwise
+ * before the footer.
+ *
+ * @param {TileConfig|NoteConfig|AmbientSoundConfig} app
+ * @param {HTMLElement|jQuery} html
+ */
+function renderPlaceableVisibilityConfig(app, html) {
+  const root = html instanceof HTMLElement ? html : html?.[0];
+  const placeable = app.document ?? app.object;
+  if (!root || !placeable || root.querySelector('.mvd-section')) return;
+  const doc = root.ownerDocument ?? document;
+
+  const fieldset = doc.createElement('fieldset');
+  fieldset.classList.add('mvd-section');
+  const legend = doc.createElement('legend');
+  legend.textContent = 'Minimum Visibility';
+  fieldset.appendChild(legend);
+
+  const distInput = doc.createElement('input');
+  distInput.type = 'number';
+  distInput.name = `flags.${MODULE_ID}.distance`;
+  distInput.min = '0';
+  distInput.step = '1';
+  const distance = placeable.getFlag(MODULE_ID, 'distance');
+  if (distance !== undefined && distance !== null && distance !== '') distInput.value = distance;
+  fieldset.appendChild(createFormGroup(doc, {
+    label: 'Minimum Visibility Distance (ft)',
+    input: distInput,
+    hint: 'Hidden from players until a player token comes within this distance. Leave blank or zero to leave it alone.',
+    slim: true
+  }));
+
+  const losInput = doc.createElement('input');
+  losInput.type = 'checkbox';
+  losInput.name = `flags.${MODULE_ID}.requireLineOfSight`;
+  losInput.setAttribute('data-dtype', 'Boolean');
+  losInput.checked = !!placeable.getFlag(MODULE_ID, 'requireLineOfSight');
+  fieldset.appendChild(createFormGroup(doc, {
+    label: 'Require Line of Sight',
+    input: losInput,
+    hint: 'Only reveal it to a player token with an unobstructed line of sight.'
+  }));
+
+  if (placeable.documentName === 'Tile') {
+    const fadeInput = doc.createElement('input');
+    fadeInput.type = 'checkbox';
+    fadeInput.name = `flags.${MODULE_ID}.fade`;
+    fadeInput.setAttribute('data-dtype', 'Boolean');
+    fadeInput.checked = !!placeable.getFlag(MODULE_ID, 'fade');
+    fieldset.appendChild(createFormGroup(doc, {
+      label: 'Fade In',
+      input: fadeInput,
+      hint: 'Fade the tile in when proximity reveals it instead of popping instantly.'
+    }));
+  }
+
+  const tab = root.querySelector('.tab[data-tab="basic"], .tab[data-tab="basics"]');
+  const footer = root.querySelector('footer, .form-footer, button[type="submit"]');
+  if (tab) tab.appendChild(fieldset);
+  else if (footer) footer.before(fieldset);
+  else (root.querySelector('form') ?? root).appendChild(fieldset);
+  if (typeof app.setPosition === 'function') app.setPosition({ height: 'auto' });
+}
+
+/* -------------------- glimpses -------------------- */
+
+/** Name shown for a glimpsed token that has no glimpse name of its own. */
+const DEFAULT_GLIMPSE_NAME = "Unknown";
+
+/** Ids of tokens this client currently draws as a glimpse, so leaving it can redraw them. */
+const glimpseDrawn = new Set();
+
+/**
+ * Whether this client should show a token as a glimpse. GMs always see the real token.
+ *
+ * @param {TokenDocument} tokenDoc
+ * @returns {boolean}
+ */
+function isGlimpsed(tokenDoc) {
+  if (game.user.isGM || !tokenDoc) return false;
+  if (getVisibilityScope() === "perUser") return locallyGlimpsed.has(tokenDoc.id);
+  return !!tokenDoc.getFlag(MODULE_ID, "glimpse");
+}
+
+function glimpseNameOf(tokenDoc) {
+  return tokenDoc.getFlag(MODULE_ID, "glimpseName") || DEFAULT_GLIMPSE_NAME;
+}
+
+/**
+ * Player-side refreshToken handler: draw a glimpsed token with its glimpse
+ * image, or as a black silhouette of its own image, and without nameplate, bars
+ * or status effects. A token that stops being a glimpse is redrawn from scratch
+ * to restore its real appearance.
+ *
+ * @param {Token} token
+ */
+function applyGlimpseAppearance(token) {
+  const tokenDoc = token.document;
+  if (!isGlimpsed(tokenDoc)) {
+    if (glimpseDrawn.delete(tokenDoc.id)) token.renderFlags.set({ redraw: true });
+    return;
+  }
+  glimpseDrawn.add(tokenDoc.id);
+  if (token.nameplate) {
+    token.nameplate.text = glimpseNameOf(tokenDoc);
+    token.nameplate.visible = false;
+  }
+  if (token.bars) token.bars.visible = false;
+  if (token.effects) token.effects.visible = false;
+  if (!token.mesh) return;
+
+  const src = tokenDoc.getFlag(MODULE_ID, "glimpseImage");
+  const getTextureFn = foundry.canvas?.getTexture ?? globalThis.getTexture;
+  const texture = src ? getTextureFn?.(src) : null;
+  if (!texture) {
+    token.mesh.tint = 0x000000;
+    // Show the silhouette until the glimpse image has loaded, then refresh
+    if (src) {
+      const loadTextureFn = foundry.canvas?.loadTexture ?? globalThis.loadTexture;
+      loadTextureFn?.(src).then(loaded => loaded && token.renderFlags.set({ refreshMesh: true }));
+    }
+    return;
+  }
+  if (token.mesh.texture !== texture) {
+    token.mesh.texture = texture;
+    token.renderFlags.set({ refreshSize: true });
+  }
+}
+
+/**
+ * Player-side updateToken handler: redraw a token whose shared glimpse state
+ * changed.
+ *
+ * @param {TokenDocument} tokenDoc
+ * @param {object} changes
+ */
+function onGlimpseUpdate(tokenDoc, changes) {
+  if (game.user.isGM || !foundry.utils.hasProperty(changes, `flags.${MODULE_ID}.glimpse`)) return;
+  tokenDoc.object?.renderFlags.set({ redraw: true });
+  ui.combat?.render();
+}
+
+/**
+ * Player-side: show glimpsed combatants in the combat tracker under their
+ * glimpse name and image. The tracker rows differ between v12 and v13, so both
+ * layouts are handled.
+ *
+ * @param {CombatTracker} app
+ * @param {HTMLElement|jQuery} html
+ */
+function renderGlimpseCombatants(app, html) {
+  if (game.user.isGM) return;
+  const root = html instanceof HTMLElement ? html : html?.[0];
+  for (const row of root?.querySelectorAll("[data-combatant-id]") ?? []) {
+    const combatant = game.combat?.combatants.get(row.dataset.combatantId);
+    const tokenDoc = combatant?.token;
+    if (!isGlimpsed(tokenDoc)) continue;
+    const name = row.querySelector(".token-name h4, .token-name .name");
+    if (name) name.textContent = glimpseNameOf(tokenDoc);
+    const image = row.querySelector("img.token-image");
+    const src = tokenDoc.getFlag(MODULE_ID, "glimpseImage");
+    if (image && src) image.src = src;
+    else if (image) image.style.filter = "brightness(0)";
+  }
+}
+
+/* -------------------- reveal effects -------------------- */
+
+function getFadeDuration() {
+  const duration = Number(game.settings?.get(MODULE_ID, "fadeDuration"));
+  return Number.isFinite(duration) && duration > 0 ? duration : 0;
+}
+
+/**
+ * Animate a token's or Tile's alpha on this client. Refreshing its state
+ * afterwards restores its normal alpha if it ends up visible after all.
+ *
+ * @param {TokenDocument|TileDocument} tokenDoc
+ * @param {"in"|"out"} direction
+ */
+function fadeToken(tokenDoc, direction) {
+  const token = tokenDoc?.object;
+  const duration = getFadeDuration();
+  if (!token || !duration) return;
+  const name = `${MODULE_ID}.fade.${tokenDoc.id}`;
+  if (direction === "in") {
+    // Wait for the token's own refresh to make it visible before fading from zero.
+    setTimeout(() => {
+      const to = token.alpha;
+      token.alpha = 0;
+      CanvasAnimation.animate([{ parent: token, attribute: "alpha", to }], { name, duration });
+    }, 0);
+    return;
+  }
+  // The GM hides the token once the fade has played; if that has not arrived
+  // within another fade duration, the refresh restores the token's alpha.
+  CanvasAnimation.animate([{ parent: token, attribute: "alpha", to: 0 }], { name, duration })
+    .then(() => setTimeout(() => token.renderFlags?.set({ refreshState: true }), duration));
+}
+
+/**
+ * React to proximity-driven token and Tile updates on every client by fading
+ * them in when they are revealed. The GM sees hidden ones anyway, so only
+ * players fade.
+ *
+ * @param {TokenDocument|TileDocument} tokenDoc
+ * @param {object} changes
+ * @param {object} options
+ */
+function onProximityUpdate(tokenDoc, changes, options) {
+  if (!options?.[MODULE_ID]?.proximity || game.user.isGM) return;
+  const revealed = changes.hidden === false || changes.flags?.[MODULE_ID]?.concealed === false;
+  if (revealed && tokenDoc.getFlag(MODULE_ID, "fade")) fadeToken(tokenDoc, "in");
+}
+
+/**
+ * GM-side: play reveal sounds and post discovery notifications for tokens that
+ * proximity just revealed. Sounds are pushed to every client.
+ *
+ * @param {Array<{tokenDoc: TokenDocument, state: object}>} reveals
+ */
+async function announceReveals(reveals) {
+  const AudioHelperClass = foundry.audio?.AudioHelper ?? globalThis.AudioHelper;
+  for (const { tokenDoc } of reveals) {
+    const src = tokenDoc.getFlag(MODULE_ID, "revealSound");
+    if (src) AudioHelperClass?.play({ src, volume: 0.8, autoplay: true, loop: false }, true);
+  }
+
+  const whisperGM = game.settings.get(MODULE_ID, "notifyGM");
+  const publicCard = game.settings.get(MODULE_ID, "notifyPublic");
+  if (!whisperGM && !publicCard) return;
+
+  const units = canvas.scene?.grid?.units || "ft";
+  const gmIds = game.users.filter(u => u.isGM).map(u => u.id);
+  const messages = [];
+  for (const { tokenDoc, state } of reveals) {
+    const distance = Math.round(state.distance * 10) / 10;
+    const content = `<p><strong>${foundry.utils.escapeHTML(tokenDoc.name)}</strong> was discovered by `
+      + `<strong>${foundry.utils.escapeHTML(state.anchor.name)}</strong> at ${distance} ${units}.</p>`;
+    const flags = {
+      [MODULE_ID]: {
+        discovery: { tokenId: tokenDoc.id, sceneId: tokenDoc.parent?.id, anchorId: state.anchor.id, distance: state.distance }
+      }
+    };
+    if (whisperGM) messages.push({ content, whisper: gmIds, flags });
+    if (publicCard) messages.push({ content, flags });
+  }
+  await ChatMessage.implementation.create(messages);
+}
+
+/* -------------------- discovery -------------------- */
+
+/**
+ * Build the flag data stored when a sticky token is first discovered: the
+ * player token that revealed it, the users owning that token, and when.
+ *
+ * @param {{anchor: TokenDocument, distance: number}} state  Result of evaluateVisibility
+ * @returns {object}
+ */
+function discoveryRecord(state) {
+  const owners = game.users?.filter(u => !u.isGM && state.anchor.actor?.testUserPermission(u, "OWNER")) ?? [];
+  return {
+    tokenId: state.anchor.id,
+    name: state.anchor.name,
+    userIds: owners.map(u => u.id),
+    distance: state.distance,
+    time: Date.now(),
+    worldTime: game.time?.worldTime ?? 0
+  };
+}
+
+/**
+ * List a token's discovery records. The "discovered" flag holds one shared
+ * record, or in per-player mode one record per user keyed by user id.
+ *
+ * @param {TokenDocument} tokenDoc
+ * @returns {object[]}
+ */
+function discoveryRecordsOf(tokenDoc) {
+  const discovered = tokenDoc.getFlag(MODULE_ID, "discovered");
+  if (!discovered || typeof discovered !== "object") return [];
+  const records = Object.values(discovered).filter(v => v && typeof v === "object" && "time" in v);
+  if ("time" in discovered) records.unshift(discovered);
+  return records;
+}
+
+/**
+ * Whether a token has been discovered. In per-player mode a player's view only
+ * counts that player's own discovery; otherwise any discovery does.
+ *
+ * @param {TokenDocument} tokenDoc
+ * @param {User} [user]
+ * @returns {boolean}
+ */
+function isDiscovered(tokenDoc, user) {
+  if (!user || user.isGM || getVisibilityScope() !== "perUser") return discoveryRecordsOf(tokenDoc).length > 0;
+  const discovered = tokenDoc.getFlag(MODULE_ID, "discovered");
+  if (!discovered || typeof discovered !== "object") return false;
+  if (discovered[user.id]) return true;
+  return "time" in discovered && (discovered.userIds ?? []).includes(user.id);
+}
+
+/**
+ * GM-side, per-player mode: the flag updates recording which players' own
+ * anchors just discovered a sticky token.
+ *
+ * @param {TokenDocument} tokenDoc
+ * @param {TokenDocument[]} candidates  Anchors that may reveal the token
+ * @param {Map<string, Set<string>>} userAnchors  Cache of each user's anchor ids
+ * @returns {object}
+ */
+function perUserDiscoveryUpdate(tokenDoc, candidates, userAnchors) {
+  const update = {};
+  if (!tokenDoc.getFlag(MODULE_ID, "stickyReveal") || !isProximityManaged(tokenDoc)) return update;
+  for (const user of game.users ?? []) {
+    if (user.isGM || isDiscovered(tokenDoc, user)) continue;
+    if (!userAnchors.has(user.id)) userAnchors.set(user.id, new Set(getPlayerAnchorDocs(user).map(a => a.id)));
+    const anchors = candidates.filter(a => userAnchors.get(user.id).has(a.id));
+    const state = evaluateVisibility(tokenDoc, { anchors, user });
+    if (state.anchor && !state.glimpse) update[`flags.${MODULE_ID}.discovered.${user.id}`] = discoveryRecord(state);
+  }
+  return update;
+}
+
+/**
+ * Forget that the given tokens were discovered so proximity controls them again.
+ *
+ * @param {TokenDocument[]} tokenDocs  Tokens on any scenes, updated once per scene
+ */
+async function resetDiscovery(tokenDocs) {
+  await updateTokensByScene(tokenDocs, td => (td.getFlag(MODULE_ID, "discovered")
+    ? { [`flags.${MODULE_ID}.-=discovered`]: null }
+    : null));
+}
+
+/**
+ * Forget discovery for every token on a scene.
+ *
+ * @param {Scene} scene
+ */
+async function resetSceneDiscovery(scene) {
+  if (!scene) return;
+  await resetDiscovery(scene.tokens.contents);
+  ui.notifications?.info(`Reset token discovery on ${scene.name}.`);
+}
+
+/**
+ * Add a "Reset Token Discovery" entry to the Scene directory context menu. The
+ * list element is a jQuery wrapper in v12 and an HTMLElement in v13.
+ *
+ * @param {Application|jQuery} _app
+ * @param {object[]} options  The context menu entries to extend
+ */
+function addSceneDiscoveryContext(_app, options) {
+  const sceneFromLi = li => {
+    const el = li?.[0] ?? li;
+    return game.scenes?.get(el?.dataset?.documentId ?? el?.dataset?.entryId);
+  };
+  options.push({
+    name: "Reset Token Discovery",
+    icon: '<i class="fas fa-eye-slash"></i>',
+    condition: li => game.user.isGM && !!sceneFromLi(li),
+    callback: li => resetSceneDiscovery(sceneFromLi(li))
+  });
+}
+
+/* -------------------- incremental recompute -------------------- */
+
+/** Minimum time between two recomputes; bursts in between collapse into one trailing run. */
+const RECOMPUTE_THROTTLE_MS = 100;
+
+/** Edge length, in grid cells, of the buckets in the anchor spatial index. */
+const ANCHOR_BUCKET_CELLS = 10;
+
+/**
+ * Grid-bucketed index of anchor token centers on the viewed scene. Queries
+ * return every anchor whose center may lie within a radius of a point; the
+ * exact test is left to evaluateVisibility.
+ */
+class AnchorIndex {
+  constructor(bucketSize) {
+    this.bucketSize = bucketSize;
+    this.positions = new Map();
+    this.buckets = new Map();
+    // The largest anchor half-diagonal seen, so range tests can allow for
+    // measuring from an anchor's edge or nearest cell rather than its center.
+    this.padding = 0;
+  }
+
+  keyOf(x, y) {
+    return `${Math.floor(x / this.bucketSize)},${Math.floor(y / this.bucketSize)}`;
+  }
+
+  get(id) {
+    return this.positions.get(id);
+  }
+
+  set(tokenDoc) {
+    this.delete(tokenDoc.id);
+    const center = centerOf(tokenDoc);
+    this.positions.set(tokenDoc.id, center);
+    const key = this.keyOf(center.x, center.y);
+    if (!this.buckets.has(key)) this.buckets.set(key, new Set());
+    this.buckets.get(key).add(tokenDoc.id);
+    this.padding = Math.max(this.padding, halfDiagonalOf(tokenDoc));
+  }
+
+  delete(id) {
+    const center = this.positions.get(id);
+    if (!center) return;
+    this.positions.delete(id);
+    const key = this.keyOf(center.x, center.y);
+    this.buckets.get(key)?.delete(id);
+    if (!this.buckets.get(key)?.size) this.buckets.delete(key);
+  }
+
+  /**
+   * @param {{x: number, y: number}} point
+   * @param {number} radius  Pixels; Infinity returns every anchor
+   * @returns {string[]} Anchor token ids
+   */
+  query(point, radius) {
+    if (!Number.isFinite(radius)) return [...this.positions.keys()];
+    const ids = [];
+    const min = { x: Math.floor((point.x - radius) / this.bucketSize), y: Math.floor((point.y - radius) / this.bucketSize) };
+    const max = { x: Math.floor((point.x + radius) / this.bucketSize), y: Math.floor((point.y + radius) / this.bucketSize) };
+    for (let bx = min.x; bx <= max.x; bx++) {
+      for (let by = min.y; by <= max.y; by++) {
+        for (const id of this.buckets.get(`${bx},${by}`) ?? []) {
+          const c = this.positions.get(id);
+          if (Math.hypot(c.x - point.x, c.y - point.y) <= radius) ids.push(id);
+        }
+      }
+    }
+    return ids;
+  }
+}
+
+function halfDiagonalOf(doc) {
+  const size = canvas.dimensions.size;
+  const { width, height } = footprintOf(doc);
+  return Math.hypot(width * size, height * size) / 2;
+}
+
+/**
+ * GM-side engine state for the viewed scene: the tokens whose visibility the
+ * module decides, and the index of anchors that can reveal them.
+ */
+const engine = {
+  sceneId: null,
+  tracked: new Set(),
+  anchors: null
+};
+
+/**
+ * Whether a token's evaluation can differ from simply keeping its hidden state:
+ * managed tokens, party tokens (which are kept visible) and overridden tokens.
+ *
+ * @param {TokenDocument} tokenDoc
+ * @returns {boolean}
+ */
+function isTracked(tokenDoc) {
+  return isPartyToken(tokenDoc) || !!activeOverrideOf(tokenDoc) || isProximityManaged(tokenDoc);
+}
+
+/**
+ * How far, in pixels between centers, an anchor can be from a tracked token and
+ * still matter to it. The grid measurement can count a diagonal as short as one
+ * cell, so the cutoff is widened by sqrt(2), and both footprints are added for
+ * edge and nearest-cell measurement. Tokens revealed by linked areas or by
+ * Perception without a distance can be affected from anywhere. Tokens whose
+ * state does not depend on anchors return -1.
+ *
+ * @param {TokenDocument} tokenDoc
+ * @returns {number}
+ */
+function reachOf(tokenDoc) {
+  if (!isProximityManaged(tokenDoc)) return -1;
+  const full = revealDistanceOf(tokenDoc);
+  if (full === null) return Infinity;
+  const feet = Math.max(full, glimpseDistanceOf(tokenDoc) ?? 0);
+  if (linkedZonesOf(tokenDoc).length && tokenDoc.getFlag(MODULE_ID, "zoneLogic") !== "and") return Infinity;
+  const d = canvas.dimensions;
+  const cutoffPx = (feetToSceneUnits(feet) / d.distance) * d.size;
+  return cutoffPx * Math.SQRT2 + halfDiagonalOf(tokenDoc) + (engine.anchors?.padding ?? 0);
+}
+
+/**
+ * Rebuild the tracked set and anchor index from every token on the viewed scene.
+ */
+function rebuildEngine() {
+  const rules = getAnchorRules();
+  engine.sceneId = canvas.scene.id;
+  engine.tracked = new Set();
+  engine.anchors = new AnchorIndex(canvas.dimensions.size * ANCHOR_BUCKET_CELLS);
+  for (const td of canvas.scene.tokens) {
+    if (isTracked(td)) engine.tracked.add(td.id);
+    if (isAnchorEligible(td, rules)) engine.anchors.set(td);
+  }
+}
+
+/**
+ * Refresh the engine for tokens that changed and return the tracked tokens that
+ * need re-evaluating: each changed tracked token, and every tracked token within
+ * reach of where a changed anchor was or now is. The anchor positions are
+ * returned too, so placeables near them can be re-evaluated.
+ *
+ * @param {Set<string>} changedIds
+ * @returns {{dirty: Set<string>, anchorPositions: Array<{x: number, y: number}>}}
+ */
+function collectDirtyTokens(changedIds) {
+  const rules = getAnchorRules();
+  const dirty = new Set();
+  const anchorPositions = [];
+  for (const id of changedIds) {
+    const td = canvas.scene.tokens.get(id);
+    const before = engine.anchors.get(id);
+    if (before) anchorPositions.push(before);
+    engine.anchors.delete(id);
+    if (td && isAnchorEligible(td, rules)) {
+      engine.anchors.set(td);
+      anchorPositions.push(engine.anchors.get(id));
+    }
+    if (td && isTracked(td)) {
+      engine.tracked.add(id);
+      dirty.add(id);
+    } else engine.tracked.delete(id);
+  }
+  if (!anchorPositions.length) return { dirty, anchorPositions };
+
+  for (const id of engine.tracked) {
+    if (dirty.has(id)) continue;
+    const td = canvas.scene.tokens.get(id);
+    const reach = td ? reachOf(td) : -1;
+    if (reach < 0) continue;
+    const center = centerOf(td);
+    if (anchorPositions.some(p => Math.hypot(p.x - center.x, p.y - center.y) <= reach)) dirty.add(id);
+  }
+  return { dirty, anchorPositions };
+}
+
+/**
+ * GM-only: re-evaluate only what changed since the last run, or everything when
+ * a full recompute was requested or the viewed scene changed. Candidate anchors
+ * for each token come from the spatial index, which yields the same results as
+ * testing every anchor because anchors outside a token's reach can never
+ * reveal it.
+ *
+ * @param {object} work
+ * @param {boolean} work.full
+ * @param {Set<string>} work.tokenIds
+ */
+async function applyDirtyGM({ full, tokenIds }) {
+  if (!isPrimaryGM() || !canvas?.ready || !canvas.scene) return;
+  if (full || engine.sceneId !== canvas.scene.id || !engine.anchors) {
+    rebuildEngine();
+    return applyAllGM(canvas.scene.id);
+  }
+  const { dirty, anchorPositions } = collectDirtyTokens(tokenIds);
+  const anchorsNear = (doc, reach) => engine.anchors.query(centerOf(doc), reach)
+    .map(id => canvas.scene.tokens.get(id))
+    .filter(Boolean);
+  const tokenDocs = [...dirty].map(id => canvas.scene.tokens.get(id)).filter(Boolean);
+  if (tokenDocs.length) await applyStatesGM(tokenDocs, td => anchorsNear(td, reachOf(td)));
+
+  // Placeables only change when an anchor moves near them
+  if (!anchorPositions.length) return;
+  const placeables = managedPlaceablesOf(canvas.scene).filter(doc => {
+    const center = centerOf(doc);
+    const reach = placeableReachOf(doc);
+    return anchorPositions.some(p => Math.hypot(p.x - center.x, p.y - center.y) <= reach);
+  });
+  if (placeables.length) await applyPlaceablesGM(placeables, doc => anchorsNear(doc, placeableReachOf(doc)));
+}
+
+/* -------- route calls to GM so players don't need permissions -------- */
+
+/** Work collected since the last recompute ran. */
+const pendingWork = { full: false, tokenIds: new Set() };
+
+/**
+ * Throttle an async function: the first call runs on the next tick, calls made
+ * while it waits or runs collapse into one trailing run at least `wait` ms after
+ * the previous one started, and runs never overlap.
+ *
+ * @param {Function} fn
+ * @param {number} wait
+ * @returns {Function}
+ */
+function throttleAsync(fn, wait) {
+  let timer = null;
+  let running = false;
+  let queued = false;
+  let lastRun = -Infinity;
+  const schedule = () => {
+    if (timer) return;
+    timer = setTimeout(async () => {
+      timer = null;
+      if (running) return void (queued = true);
+      running = true;
+      lastRun = Date.now();
+      try {
+        await fn();
+      } finally {
+        running = false;
+        if (queued) {
+          queued = false;
+          schedule();
+        }
+      }
+    }, Math.max(0, lastRun + wait - Date.now()));
+  };
+  return schedule;
+}
+
+/**
+ * Run the collected work: per-player visibility on this client, and the shared
+ * recompute on the executor. Every trigger is a document or setting change
+ * that the executor receives too, so other clients never forward it; a GM who
+ * logs in later recomputes the scene when it is viewed.
+ */
+const flushRecompute = throttleAsync(async () => {
+  const work = { full: pendingWork.full, tokenIds: new Set(pendingWork.tokenIds) };
+  pendingWork.full = false;
+  pendingWork.tokenIds.clear();
+  if (!work.full && !work.tokenIds.size) return;
+
+  // Per-player visibility is computed on every client
+  applyLocalVisibility();
+  applyLocalPlaceableVisibility();
+  // If I'm the executor, do it locally
+  if (isPrimaryGM()) return applyDirtyGM(work);
+}, RECOMPUTE_THROTTLE_MS);
+
+/**
+ * Queue recompute work and schedule a throttled run.
+ *
+ * @param {object} [work]
+ * @param {boolean} [work.full=false]      Re-evaluate every token
+ * @param {string[]} [work.tokenIds=[]]    Tokens that changed
+ */
+function requestRecompute({ full = false, tokenIds = [] } = {}) {
+  if (full) pendingWork.full = true;
+  for (const id of tokenIds) pendingWork.tokenIds.add(id);
+  flushRecompute();
+}
+
+/** Request a full recompute; used by every hook whose change can affect any token. */
+function routeApplyAll() {
+  requestRecompute({ full: true });
+}
+
+/**
+ * Request a recompute for a token that was created, moved, deleted or changed
+ * on the viewed scene.
+ *
+ * @param {TokenDocument} tokenDoc
+ */
+function routeTokenChange(tokenDoc) {
+  if (tokenDoc?.parent && tokenDoc.parent !== canvas?.scene) return;
+  requestRecompute({ tokenIds: [tokenDoc.id] });
+}
+
+/**
+ * Request a recompute for the viewed scene's tokens of an actor whose data,
+ * ownership, folder or effects changed. Those only bear on its own tokens, as
+ * anchors or as hidden tokens, and the engine re-evaluates the neighbours of an
+ * anchor that changed. Actors without a token on the viewed scene need nothing.
+ *
+ * @param {Actor} actor  A world actor, or the synthetic actor of an unlinked token
+ */
+function routeActorChange(actor) {
+  const scene = canvas?.scene;
+  if (!actor || !scene) return;
+  const tokenIds = scene.tokens
+    .filter(td => (actor.isToken ? td === actor.token : td.actorId === actor.id))
+    .map(td => td.id);
+  if (tokenIds.length) requestRecompute({ tokenIds });
+}
+
+/**
+ * Request a recompute for the tokens of the actor an Active Effect applies to,
+ * whether it sits on the actor itself or on one of its items.
+ *
+ * @param {ActiveEffect} effect
+ */
+function routeEffectChange(effect) {
+  const parent = effect?.parent;
+  routeActorChange(parent?.documentName === "Actor" ? parent : parent?.parent);
+}
+
+/* -------------------- pending work -------------------- */
+
+/**
+ * A token created while no GM was connected is marked with the `pendingStealth`
+ * flag by its creator until its Stealth roll has run, so the roll survives
+ * reloads and reaches whichever GM becomes the executor. Recomputes need no
+ * such record: the executor recomputes every scene it views in full.
+ */
+
+/**
+ * Creator-side: mark a token whose Stealth roll could not run because no GM is
+ * connected. The creating user can update the new token, so its client writes
+ * the marker.
+ *
+ * @param {TokenDocument} tokenDoc
+ * @returns {Promise<void>}
+ */
+async function markPendingStealth(tokenDoc) {
+  try {
+    await tokenDoc.setFlag(MODULE_ID, "pendingStealth", true);
+  } catch (err) {
+    console.error(`[${MODULE_ID}] Failed to mark ${tokenDoc.name} for a pending Stealth roll:`, err);
+  }
+}
+
+/**
+ * Executor-only: roll Stealth for the scene's tokens still carrying the
+ * `pendingStealth` marker, unless a total was stored meanwhile, and clear the
+ * markers.
+ *
+ * @param {Scene} scene
+ * @returns {Promise<void>}
+ */
+async function processPendingStealth(scene) {
+  const marked = scene.tokens.filter(td => td.getFlag(MODULE_ID, "pendingStealth"));
+  if (!marked.length) return;
+  await scene.updateEmbeddedDocuments("Token",
+    marked.map(td => ({ _id: td.id, [`flags.${MODULE_ID}.-=pendingStealth`]: null })));
+  for (const td of marked) {
+    if (td.getFlag(MODULE_ID, "stealth") == null) enqueueStealthRoll(td);
+  }
+}
+
+/** Serializes pending-work runs so a marker is never read again before its removal lands. */
+let pendingWorkRun = Promise.resolve();
+
+/**
+ * Executor-only: run the persisted work of the given scenes. Runs are chained:
+ * the ready and canvasReady hooks can both start one for the viewed scene.
+ *
+ * @param {Iterable<Scene>} [scenes]  Defaults to every scene in the world
+ * @returns {Promise<void>}
+ */
+function processPendingWork(scenes = game.scenes ?? []) {
+  pendingWorkRun = pendingWorkRun.then(async () => {
+    if (!isPrimaryGM()) return;
+    for (const scene of scenes) {
+      try {
+        await processPendingStealth(scene);
+      } catch (err) {
+        console.error(`[${MODULE_ID}] Failed to process pending work for scene ${scene.id}:`, err);
+      }
+    }
+  });
+  return pendingWorkRun;
+}
+
+/** Whether this client was the executor when the GM roster last changed. */
+let wasExecutor = false;
+
+/**
+ * Re-run the executor election after a GM connects or disconnects. The client
+ * that becomes the executor runs the persisted work and recomputes the viewed
+ * scene, since anything its predecessor had in flight was lost.
+ */
+async function refreshExecutor() {
+  const executor = isPrimaryGM();
+  const became = executor && !wasExecutor;
+  wasExecutor = executor;
+  if (!became) return;
+  await processPendingWork();
+  routeApplyAll();
+}
+
+/**
+ * Whether a token update only touched the `pendingStealth` marker, which must
+ * not trigger a recompute of its own.
+ *
+ * @param {object} changes
+ * @returns {boolean}
+ */
+function isPendingStealthOnlyChange(changes) {
+  const keys = Object.keys(foundry.utils.flattenObject(changes)).filter(k => k !== "_id");
+  return keys.length > 0 && keys.every(k => ["pendingStealth", "-=pendingStealth"]
+    .some(key => k.startsWith(`flags.${MODULE_ID}.${key}`)));
+}
+
+/* -------------------- stealth-on-creation -------------------- */
+
+/** Roll modes for automatic Stealth checks, keyed by the "stealthRollMode" setting. */
+const STEALTH_ROLL_MODES = {
+  default: "Current chat roll mode",
+  publicroll: "Public",
+  gmroll: "GM only",
+  blindroll: "Blind"
+};
+
+function getStealthRollMode() {
+  const mode = game.settings?.get(MODULE_ID, "stealthRollMode");
+  if (mode && mode !== "default" && mode in STEALTH_ROLL_MODES) return mode;
+  return game.settings?.get("core", "rollMode") ?? "publicroll";
+}
+
+/**
+ * Stealth roll adapters keyed by game system id. Each adapter rolls Stealth for
+ * an actor, posts the result to chat with the requested roll mode, and resolves
+ * to the Roll (or array of Rolls) it made, or null when nothing was rolled.
+ * An adapter may also report an actor's Stealth modifier, which lets group
+ * checks apply one die roll with each creature's own bonus. Systems without an
+ * adapter use the formula-based generic one, and other modules can add
+ * adapters through the API.
+ *
+ * @type {Record<string, {label: string, roll: Function, modifier?: Function}>}
+ */
+const STEALTH_ADAPTERS = {
+  dnd5e: {
+    label: "D&D 5e",
+    async roll(actor, { speaker, rollMode }) {
+      // dnd5e 4.1 split roll options into roll, dialog and message configs;
+      // 4.0 still takes the skill id and one options object.
+      if (!foundry.utils.isNewerVersion("4.1.0", game.system.version)) {
+        return actor.rollSkill({ skill: "ste" }, { configure: false }, { rollMode, data: { speaker } });
+      }
+      return actor.rollSkill("ste", { fastForward: true, skipDialog: true, rollMode, speaker });
+    },
+    modifier(actor) {
+      return actor.system?.skills?.ste?.total;
+    }
+  },
+  pf2e: {
+    label: "Pathfinder 2e",
+    async roll(actor, { rollMode, tokenDoc }) {
+      const stealth = actor.skills?.stealth;
+      if (typeof stealth?.roll !== "function") return null;
+      return stealth.roll({ skipDialog: true, rollMode, token: tokenDoc });
+    },
+    modifier(actor) {
+      return actor.skills?.stealth?.check?.mod ?? actor.skills?.stealth?.mod;
+    }
+  },
+  generic: {
+    label: "Generic (formula)",
+    async roll(actor, { speaker, rollMode, flavor }) {
+      const formula = game.settings.get(MODULE_ID, "stealthFormula") || "1d20";
+      const roll = await new Roll(formula, actor.getRollData?.() ?? {}).evaluate();
+      await roll.toMessage({ flavor, speaker }, { rollMode });
+      return roll;
+    }
+  }
+};
+
+function getStealthAdapter() {
+  return STEALTH_ADAPTERS[game.system.id] ?? STEALTH_ADAPTERS.generic;
+}
+
+/**
+ * Register a Stealth roll adapter for a game system, replacing any existing one.
+ *
+ * @param {string} systemId
+ * @param {{label: string, roll: Function}} adapter
+ */
+function registerStealthAdapter(systemId, adapter) {
+  if (typeof adapter?.roll !== "function") throw new Error(`[${MODULE_ID}] A Stealth adapter needs a roll function.`);
+  STEALTH_ADAPTERS[systemId] = adapter;
+}
+
+/** Newly created tokens waiting for their Stealth roll, grouped per creation burst. */
+let pendingStealthTokens = [];
+
+/**
+ * @param {TokenDocument} tokenDoc
+ * @param {string} [userId]  The user who created the token
+ */
+function scheduleStealthRollForTokenDoc(tokenDoc, userId) {
+  // Determine whether the newly created token should roll stealth. We first
+  // consult the flag on the token itself. If absent, fall back to the flag on
+  // the actor's prototype token, then the actor's folder, the scene and the
+  // world default. The prototype fallback allows dragging an actor whose
+  // prototype has stealth-on-creation enabled to still produce a stealth roll
+  // even if the TokenDocument does not yet have the flag explicitly set.
+  const stealthOnCreate = resolveVisibilitySetting(tokenDoc, "stealthOnCreate").value;
+  if (!stealthOnCreate) return;
+  // Only the executor rolls, whichever client created the token. With no GM
+  // connected, the creating client marks the token for the next executor.
+  if (!getPrimaryGMUser()) {
+    if (userId === game.user?.id) markPendingStealth(tokenDoc);
+    return;
+  }
+  if (!isPrimaryGM()) return;
+  enqueueStealthRoll(tokenDoc);
+}
+
+/**
+ * Executor-only: add a token to the current creation burst and roll it once the
+ * burst settles.
+ *
+ * @param {TokenDocument} tokenDoc
+ */
+function enqueueStealthRoll(tokenDoc) {
+  // Perform the roll after a brief delay to allow the token to be drawn to the
+  // canvas and registered in canvas.tokens. This avoids missing the drawToken
+  // hook and allows the chat speaker to include the token reference when
+  // possible. If the token is not yet available, we still proceed using the
+  // actor alone. Tokens created together in that window, such as a whole
+  // encounter being placed, are rolled together.
+  pendingStealthTokens.push(tokenDoc);
+  clearTimeout(enqueueStealthRoll._t);
+  enqueueStealthRoll._t = setTimeout(() => {
+    const tokenDocs = pendingStealthTokens;
+    pendingStealthTokens = [];
+    if (tokenDocs.length > 1 && game.settings.get(MODULE_ID, "groupStealth")) rollGroupStealth(tokenDocs);
+    else for (const td of tokenDocs) rollStealthForTokenDoc(td);
+  }, 100);
+}
+
+/**
+ * Roll Stealth for a placed token through the game system's adapter and store
+ * the total on it so Perception-based reveal can compare against it. The
+ * token's own actor is used so unlinked tokens roll with their synthetic data.
+ *
+ * @param {TokenDocument} tokenDoc
+ * @param {object} [options]
+ * @param {string} [options.flavor]  Chat flavor for adapters that support it
+ * @returns {Promise<number|null>} The stored total, or null if nothing was rolled
+ */
+async function rollStealthForTokenDoc(tokenDoc, { flavor = "Stealth" } = {}) {
+  const actor = tokenDoc.actor;
+  if (!actor) return null;
+  try {
+    // Determine an appropriate chat speaker. We attempt to use the placed
+    // token (if it exists on the canvas) to tie the message to the token's
+    // scene representation; otherwise default to the actor alone.
+    const speaker = ChatMessage.getSpeaker({ actor, token: tokenDoc, scene: tokenDoc.parent });
+    const result = await getStealthAdapter().roll(actor, { speaker, rollMode: getStealthRollMode(), flavor, tokenDoc });
+    const total = rollTotalOf(result);
+    if (total === null) return null;
+    await storeStealthTotals([tokenDoc], total);
+    return total;
+  } catch (err) {
+    console.error(`[${MODULE_ID}] Stealth on creation failed:`, err);
+    return null;
+  }
+}
+
+/**
+ * Roll one group Stealth check for tokens placed together, posting a single
+ * chat card instead of one per token. The first token's actor rolls. When the
+ * system's adapter reports Stealth modifiers, every token gets the same die
+ * result with its own actor's modifier; otherwise every token gets the lead
+ * token's total.
+ *
+ * @param {TokenDocument[]} tokenDocs
+ * @returns {Promise<number|null>} The lead token's total
+ */
+async function rollGroupStealth(tokenDocs) {
+  const [leader] = tokenDocs;
+  const actor = leader?.actor;
+  if (!actor) return null;
+  try {
+    const speaker = ChatMessage.getSpeaker({ actor, token: leader, scene: leader.parent });
+    const flavor = `Group Stealth (${tokenDocs.length} tokens)`;
+    const result = await getStealthAdapter().roll(actor, { speaker, rollMode: getStealthRollMode(), flavor, tokenDoc: leader });
+    const total = rollTotalOf(result);
+    if (total === null) return null;
+    const modifierOf = doc => Number(getStealthAdapter().modifier?.(doc.actor));
+    const leaderModifier = modifierOf(leader);
+    await storeStealthTotals(tokenDocs, td => {
+      const modifier = modifierOf(td);
+      if (!Number.isFinite(leaderModifier) || !Number.isFinite(modifier)) return total;
+      return total - leaderModifier + modifier;
+    });
+    return total;
+  } catch (err) {
+    console.error(`[${MODULE_ID}] Group Stealth on creation failed:`, err);
+    return null;
+  }
+}
+
+/**
+ * Read the total of a Stealth roll. Depending on the system and its version,
+ * skill rolls resolve to a Roll, an array of Rolls, or nothing at all when the
+ * roll was cancelled.
+ *
+ * @param {Roll|Roll[]|null|undefined} result
+ * @returns {number|null}
+ */
+function rollTotalOf(result) {
+  const roll = Array.isArray(result) ? result[0] : result;
+  const total = Number(roll?.total);
+  return Number.isFinite(total) ? total : null;
+}
+
+/**
+ * Record Stealth totals on tokens that still exist, and hand them to the
+ * Stealthy module when that integration is enabled.
+ *
+ * @param {TokenDocument[]} tokenDocs
+ * @param {number|function(TokenDocument): number} total  One total for all, or each token's own
+ */
+async function storeStealthTotals(tokenDocs, total) {
+  const totalOf = typeof total === "function" ? total : () => total;
+  const placed = tokenDocs.filter(td => td.parent?.tokens?.has(td.id));
+  await updateTokensByScene(placed, td => ({ [`flags.${MODULE_ID}.stealth`]: totalOf(td) }));
+  if (!game.settings.get(MODULE_ID, "applyStealthy")) return;
+  for (const td of placed) await applyStealthyHidden(td, totalOf(td));
+}
+
+/**
+ * Mark a token as hidden in the Stealthy module with the rolled value. When
+ * game.stealthy exposes setValue it is called as setValue(actor, skill, token,
+ * value); without it, or when the call fails, the core "hidden" status effect is
+ * applied instead with the value stored in Stealthy's flag on it.
+ *
+ * @param {TokenDocument} tokenDoc
+ * @param {number} total
+ */
+async function applyStealthyHidden(tokenDoc, total) {
+  if (!game.modules.get("stealthy")?.active || !tokenDoc.actor) return;
+  try {
+    const setValue = game.stealthy?.setValue;
+    if (typeof setValue === "function") {
+      try {
+        await setValue.call(game.stealthy, tokenDoc.actor, "stealth", tokenDoc.object ?? tokenDoc, total);
+        return;
+      } catch (err) {
+        console.warn(`[${MODULE_ID}] Stealthy setValue failed, applying the hidden status instead:`, err);
+      }
+    }
+    if (!CONFIG.statusEffects?.some(e => e.id === "hidden")) return;
+    const effect = await tokenDoc.actor.toggleStatusEffect("hidden", { active: true });
+    const hiddenEffect = effect instanceof foundry.abstract.Document
+      ? effect
+      : tokenDoc.actor.effects.find(e => e.statuses?.has("hidden"));
+    await hiddenEffect?.setFlag("stealthy", "hidden", total);
+  } catch (err) {
+    console.error(`[${MODULE_ID}] Failed to apply the Stealthy hidden effect:`, err);
+  }
+}
+
+/* -------------------- token config UI -------------------- */
+
+/** Explicit choices for Stealth on Creation; a blank value inherits. */
+const STEALTH_ON_CREATE_CHOICES = {
+  true: "Yes",
+  false: "No"
+};
+
+/**
+ * Map a stored Stealth on Creation flag to the select value that shows it. A
+ * legacy unticked checkbox (boolean false) is shown as inheriting.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function stealthOnCreateChoiceOf(value) {
+  const normalized = normalizeInheritedValue('stealthOnCreate', value);
+  return normalized === undefined ? '' : String(normalized);
 }
 
-/** GM-only: scan and update hidden flags */
-async function applyAllGM(sceneId) {
-  if (!game.user.isGM) return;                // safety
-  if (!canvas?.ready || !canvas.scene) return;
-  if (sceneId && sceneId !== canvas.scene.id) return;
-
-  const updates = [];
-  for (const td of canvas.scene.tokens) {
-    const shouldHide = desiredHiddenState(td);
-    if (td.hidden !== shouldHide) updates.push({ _id: td.id, hidden: shouldHide });
+/**
+ * Build a select input from a choices object. When a blank label is given a
+ * leading empty option is added so the field can be left to inherit.
+ *
+ * @param {Document} doc           The document used to create elements
+ * @param {string} name            The form field name
+ * @param {object} choices         Mapping of values to labels
+ * @param {*} current              The currently stored value
+ * @param {string} [blankLabel]    Label of the leading empty option, if any
+ * @returns {HTMLSelectElement}
+ */
+function createChoiceSelect(doc, name, choices, current, blankLabel) {
+  const select = doc.createElement('select');
+  select.name = name;
+  const entries = Object.entries(choices);
+  if (blankLabel !== undefined) entries.unshift(['', blankLabel]);
+  for (const [value, label] of entries) {
+    const option = doc.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    option.selected = value === String(current ?? '');
+    select.appendChild(option);
   }
-  if (updates.length) await canvas.scene.updateEmbeddedDocuments("Token", updates);
+  return select;
 }
 
-/* -------- route calls to GM so players don't need permissions -------- */
+/**
+ * Wrap an input in a form group with a label and optional hint, matching the
+ * markup Foundry uses for sheet fields.
+ *
+ * @param {Document} doc
+ * @param {object} config
+ * @param {string} config.label
+ * @param {HTMLElement} config.input
+ * @param {string} [config.hint]
+ * @param {boolean} [config.slim]
+ * @returns {HTMLDivElement}
+ */
+function createFormGroup(doc, { label, input, hint, slim = false }) {
+  const group = doc.createElement('div');
+  group.classList.add('form-group');
+  if (slim) group.classList.add('slim');
+
+  const labelEl = doc.createElement('label');
+  labelEl.textContent = label;
+  group.appendChild(labelEl);
+
+  const fields = doc.createElement('div');
+  fields.classList.add('form-fields');
+  fields.appendChild(input);
+  group.appendChild(fields);
+
+  if (hint) {
+    const hintEl = doc.createElement('p');
+    hintEl.classList.add('hint');
+    hintEl.textContent = hint;
+    group.appendChild(hintEl);
+  }
+  return group;
+}
 
-function routeApplyAll() {
-  // debounce bursts of events
-  clearTimeout(routeApplyAll._t);
-  routeApplyAll._t = setTimeout(() => {
-    const sceneId = canvas?.scene?.id;
-    // If I'm the GM, do it locally
-    if (game.user.isGM) return void applyAllGM(sceneId);
+/**
+ * Build the fieldset of defaults shared by the Scene and actor Folder
+ * configuration sheets. Every field may be left blank to inherit the next level.
+ *
+ * @param {Document} doc         The document used to create elements
+ * @param {Scene|Folder} target  The document whose flags hold the defaults
+ * @param {string} inheritsFrom  Description of the next level, for the hints
+ * @returns {HTMLFieldSetElement}
+ */
+function createDefaultsFieldset(doc, target, inheritsFrom) {
+  const fieldset = doc.createElement('fieldset');
+  fieldset.classList.add('mvd-section');
 
-    // If no active GM, we can't update visibility — just bail quietly
-    const gmOnline = game.users?.some(u => u.isGM && u.active);
-    if (!gmOnline) return;
+  const legend = doc.createElement('legend');
+  legend.textContent = 'Minimum Visibility';
+  fieldset.appendChild(legend);
 
-    // Ask any GM client to run applyAllGM
-    game.socket?.emit(SOCKET, { op: "applyAll", sceneId });
-  }, 0);
+  const distInput = doc.createElement('input');
+  distInput.type = 'number';
+  distInput.name = `flags.${MODULE_ID}.distance`;
+  distInput.min = '0';
+  distInput.step = '1';
+  const distance = target.getFlag(MODULE_ID, 'distance');
+  if (distance !== undefined && distance !== null && distance !== '') distInput.value = distance;
+  fieldset.appendChild(createFormGroup(doc, {
+    label: 'Default Minimum Visibility Distance (ft)',
+    input: distInput,
+    hint: `Applies to non-player tokens that do not set their own distance. Leave blank to use ${inheritsFrom}; zero disables auto-hiding.`,
+    slim: true
+  }));
+
+  fieldset.appendChild(createFormGroup(doc, {
+    label: 'Distance Measurement',
+    input: createChoiceSelect(doc, `flags.${MODULE_ID}.measurementMode`, MEASUREMENT_MODES,
+      target.getFlag(MODULE_ID, 'measurementMode'), 'Default')
+  }));
+
+  fieldset.appendChild(createFormGroup(doc, {
+    label: 'Reveal Mode',
+    input: createChoiceSelect(doc, `flags.${MODULE_ID}.revealMode`, REVEAL_MODES,
+      target.getFlag(MODULE_ID, 'revealMode'), 'Default')
+  }));
+
+  fieldset.appendChild(createFormGroup(doc, {
+    label: 'Stealth on Creation',
+    input: createChoiceSelect(doc, `flags.${MODULE_ID}.stealthOnCreate`, STEALTH_ON_CREATE_CHOICES,
+      stealthOnCreateChoiceOf(target.getFlag(MODULE_ID, 'stealthOnCreate')), 'Default'),
+    hint: `Defaults left blank fall back to ${inheritsFrom}.`
+  }));
+  return fieldset;
 }
 
-/* -------------------- stealth-on-creation -------------------- */
-
-function scheduleStealthRollForTokenDoc(tokenDoc) {
-  // Determine whether the newly created token should roll stealth. We first
-  // consult the flag on the token itself. If absent, fall back to the flag on
-  // the actor's prototype token. This fallback allows dragging an actor whose
-  // prototype has stealth-on-creation enabled to still produce a stealth roll
-  // even if the TokenDocument does not yet have the flag explicitly set.
-  let stealthOnCreate = tokenDoc.getFlag(MODULE_ID, "stealthOnCreate");
-  if (stealthOnCreate === undefined || stealthOnCreate === null) {
-    const actor = game.actors?.get(tokenDoc.actorId);
-    stealthOnCreate = actor?.prototypeToken?.getFlag(MODULE_ID, "stealthOnCreate");
-  }
-  if (!stealthOnCreate) return;
-  // Only GMs should roll for stealth. Previously this check limited rolling to
-  // the "primary GM" which could cause the roll to never occur if the user
-  // dragging the actor was not the first GM. Now any active GM client that
-  // creates the token will perform the roll, which avoids duplicates in most
-  // cases while ensuring the roll still occurs.
-  if (!game.user?.isGM) return;
-
-  const actor = game.actors?.get(tokenDoc.actorId);
-  if (!actor) return;
-
-  // Helper to perform the actual roll. We attempt to use the dnd5e-specific
-  // rollSkill method when available. If that is not present or fails, we
-  // fall back to rolling 1d20 and sending a generic Stealth message.
-  const performRoll = async () => {
-    try {
-      // Determine an appropriate chat speaker. We attempt to use the placed
-      // token (if it exists on the canvas) to tie the message to the token's
-      // scene representation; otherwise default to the actor alone.
-      const speaker = ChatMessage.getSpeaker({ actor, token: canvas.tokens?.get(tokenDoc.id), scene: canvas.scene });
-      // If the dnd5e system provides a rollSkill method, use it
-      if (game.system.id === "dnd5e" && typeof actor.rollSkill === "function") {
-        await actor.rollSkill("ste", {
-          fastForward: true,
-          skipDialog: true,
-          speaker
-        });
-        return;
-      }
-      // Fallback for dnd5e v5.2.x where skills may be stored under system.skills.ste
-      if (actor.system?.skills?.ste?.roll && typeof actor.system.skills.ste.roll === "function") {
-        await actor.system.skills.ste.roll({
-          fastForward: true,
-          skipDialog: true,
-          speaker
-        });
-        return;
-      }
-      // Last fallback: roll a simple d20
-      const roll = await (new Roll("1d20")).roll({ async: true });
-      await roll.toMessage({
-        flavor: "Stealth (fallback)",
-        speaker
-      });
-    } catch (err) {
-      console.error(`[${MODULE_ID}] Stealth on creation failed:`, err);
-    }
-  };
+/**
+ * Add the Minimum Visibility defaults to the Scene configuration sheet, in the
+ * basic tab (named "basic" in v12 and "basics" in v13).
+ *
+ * @param {SceneConfig} app
+ * @param {HTMLElement|jQuery} html
+ */
+function renderSceneDefaultsConfig(app, html) {
+  const root = html instanceof HTMLElement ? html : html?.[0];
+  const scene = app.document ?? app.object;
+  if (!root || !scene) return;
+  const tab = root.querySelector('.tab[data-tab="basic"], .tab[data-tab="basics"]') ?? root.querySelector('form') ?? root;
+  if (tab.querySelector('.mvd-section')) return;
+  tab.appendChild(createDefaultsFieldset(root.ownerDocument ?? document, scene, 'the world settings'));
+  if (typeof app.setPosition === 'function') app.setPosition();
+}
 
-  // Perform the roll after a brief delay to allow the token to be drawn to the
-  // canvas and registered in canvas.tokens. This avoids missing the drawToken
-  // hook and allows the chat speaker to include the token reference when
-  // possible. If the token is not yet available, we still proceed using the
-  // actor alone.
-  setTimeout(() => {
-    performRoll();
-  }, 100);
+/**
+ * Add the Minimum Visibility defaults to the configuration sheet of Actor
+ * folders. Tokens of actors in the folder, or any of its subfolders, inherit
+ * them before the scene defaults.
+ *
+ * @param {FolderConfig} app
+ * @param {HTMLElement|jQuery} html
+ */
+function renderFolderDefaultsConfig(app, html) {
+  const root = html instanceof HTMLElement ? html : html?.[0];
+  const folder = app.document ?? app.object;
+  if (!root || folder?.type !== 'Actor' || !folder.id) return;
+  if (root.querySelector('.mvd-section')) return;
+  const fieldset = createDefaultsFieldset(root.ownerDocument ?? document, folder, 'the parent folder, scene or world settings');
+  const footer = root.querySelector('footer, .form-footer, button[type="submit"]');
+  if (footer) footer.before(fieldset);
+  else (root.querySelector('form') ?? root).appendChild(fieldset);
+  if (typeof app.setPosition === 'function') app.setPosition({ height: 'auto' });
 }
 
-/* -------------------- token config UI -------------------- */
+/**
+ * Create a button that opens a file picker and writes the chosen path into an input.
+ *
+ * @param {Document} doc
+ * @param {HTMLInputElement} input
+ * @param {string} type  The file picker type, e.g. "audio" or "image"
+ * @returns {HTMLButtonElement}
+ */
+function createFilePickerButton(doc, input, type) {
+  const button = doc.createElement('button');
+  button.type = 'button';
+  button.classList.add('file-picker');
+  button.title = 'Browse Files';
+  button.innerHTML = '<i class="fas fa-file-import fa-fw"></i>';
+  button.addEventListener('click', () => {
+    const FilePickerClass = foundry.applications?.apps?.FilePicker?.implementation ?? globalThis.FilePicker;
+    new FilePickerClass({
+      type,
+      current: input.value,
+      callback: path => { input.value = path; }
+    }).render(true);
+  });
+  return button;
+}
 
 /**
  * Render a dedicated configuration section for the Minimum Visibility module in the
@@ -210,10 +2631,27 @@ function scheduleStealthRollForTokenDoc(tokenDoc) {
  * detecting whether the supplied html argument is a jQuery wrapper or a
  * native HTMLElement and gracefully handling partial re-renders in v13.
  *
- * The section contains two controls:
+ * The section contains the following controls:
  *  - A number input for the minimum visibility distance in feet. When left
- *    blank or set to zero, no auto-hiding occurs.
- *  - A checkbox to automatically roll Stealth when the token is created.
+ *    blank the folder, scene or world default applies; zero disables it.
+ *  - A measurement mode select, which may inherit.
+ *  - A checkbox requiring an unobstructed line of sight from a player token.
+ *  - A checkbox keeping the token revealed once it has been discovered, with a
+ *    reset button on placed tokens that were already discovered.
+ *  - A select to automatically roll Stealth when the token is created.
+ *  - A reveal mode select choosing between plain distance and passive
+ *    Perception against the stored Stealth total.
+ *  - A select choosing whether the token acts as an anchor for others.
+ *  - A checkbox fading the token in and out, and an optional reveal sound.
+ *  - A glimpse distance in feet, and the image and name players see while the
+ *    token is only glimpsed.
+ *  - On placed tokens, a visibility override and when it expires.
+ *  - On placed tokens, the Regions and Drawings linked as reveal areas and how
+ *    they combine with the distance.
+ *  - On placed tokens, the stored Stealth total itself.
+ *
+ * Inheritable fields show in their hint which value applies when left blank
+ * and where that value comes from.
  *
  * @param {object} app    The application instance (TokenConfig or PrototypeTokenConfig)
  * @param {HTMLElement|jQuery} html  The root element or jQuery wrapper of the rendered sheet
@@ -286,35 +2724,229 @@ function renderMinVisibilityConfig(app, html, data, options) {
 
   const distHint = doc.createElement('p');
   distHint.classList.add('hint');
-  distHint.textContent = 'Minimum distance in feet. If blank or zero, the token will not be auto-hidden.';
+  distHint.textContent = 'Minimum distance in feet. If blank, the token inherits its actor folder, scene or world default. Zero disables auto-hiding unless the token uses the Passive Perception reveal mode. '
+    + describeInheritedSetting(token, 'distance', v => (Number(v) > 0 ? `${v} ft` : 'none'));
   distGroup.appendChild(distHint);
 
-  // --- Stealth on Creation group ---
-  const stealthGroup = doc.createElement('div');
-  stealthGroup.classList.add('form-group');
-  fieldset.appendChild(stealthGroup);
-
-  const stealthLabel = doc.createElement('label');
-  stealthLabel.textContent = 'Stealth on Creation';
-  stealthGroup.appendChild(stealthLabel);
+  // --- Measurement group ---
+  const measureSelect = createChoiceSelect(doc, `flags.${MODULE_ID}.measurementMode`, MEASUREMENT_MODES,
+    token.getFlag(MODULE_ID, 'measurementMode'), 'Default');
+  fieldset.appendChild(createFormGroup(doc, {
+    label: 'Distance Measurement',
+    input: measureSelect,
+    hint: describeInheritedSetting(token, 'measurementMode', v => MEASUREMENT_MODES[v] ?? MEASUREMENT_MODES.center)
+  }));
+
+  // --- Require Line of Sight group ---
+  const losInput = doc.createElement('input');
+  losInput.type = 'checkbox';
+  losInput.name = `flags.${MODULE_ID}.requireLineOfSight`;
+  losInput.setAttribute('data-dtype', 'Boolean');
+  losInput.checked = !!token.getFlag(MODULE_ID, 'requireLineOfSight');
+  fieldset.appendChild(createFormGroup(doc, {
+    label: 'Require Line of Sight',
+    input: losInput,
+    hint: 'Only reveal this token when a player token within range also has an unobstructed sight line to it through the scene walls.'
+  }));
+
+  // --- Stay Revealed Once Discovered group ---
+  const stickyInput = doc.createElement('input');
+  stickyInput.type = 'checkbox';
+  stickyInput.name = `flags.${MODULE_ID}.stickyReveal`;
+  stickyInput.setAttribute('data-dtype', 'Boolean');
+  stickyInput.checked = !!token.getFlag(MODULE_ID, 'stickyReveal');
+
+  // Placed tokens that were already discovered show who found them and offer a reset.
+  const discoveries = token.documentName === 'Token' ? discoveryRecordsOf(token) : [];
+  const stickyGroup = createFormGroup(doc, {
+    label: 'Stay Revealed Once Discovered',
+    input: stickyInput,
+    hint: discoveries.length
+      ? `Discovered by ${discoveries.map(d => `${d.name} on ${new Date(d.time).toLocaleString()}`).join(', ')}. Reset to let proximity hide it again.`
+      : 'Once a player token reveals this token it stays visible, even after the party moves away.'
+  });
+  if (discoveries.length) {
+    const resetButton = doc.createElement('button');
+    resetButton.type = 'button';
+    resetButton.innerHTML = '<i class="fas fa-eye-slash"></i> Reset Discovery';
+    resetButton.addEventListener('click', async () => {
+      await resetDiscovery([token]);
+      resetButton.disabled = true;
+    });
+    stickyGroup.querySelector('.form-fields').appendChild(resetButton);
+  }
+  fieldset.appendChild(stickyGroup);
 
-  const stealthFields = doc.createElement('div');
-  stealthFields.classList.add('form-fields');
-  stealthGroup.appendChild(stealthFields);
+  // --- Stealth on Creation group ---
+  // A select rather than a checkbox so the token can also inherit the setting.
+  const stealthSelect = createChoiceSelect(doc, `flags.${MODULE_ID}.stealthOnCreate`, STEALTH_ON_CREATE_CHOICES,
+    stealthOnCreateChoiceOf(token.getFlag(MODULE_ID, 'stealthOnCreate')), 'Default');
+  fieldset.appendChild(createFormGroup(doc, {
+    label: 'Stealth on Creation',
+    input: stealthSelect,
+    hint: 'When placed on the scene, this token immediately rolls Stealth as the token. '
+      + describeInheritedSetting(token, 'stealthOnCreate', v => (v ? 'Yes' : 'No'))
+  }));
+
+  // --- Reveal Mode group ---
+  const modeSelect = createChoiceSelect(doc, `flags.${MODULE_ID}.revealMode`, REVEAL_MODES,
+    token.getFlag(MODULE_ID, 'revealMode'), 'Default');
+  fieldset.appendChild(createFormGroup(doc, {
+    label: 'Reveal Mode',
+    input: modeSelect,
+    hint: 'Passive Perception only reveals the token to a player token in range whose passive Perception meets or beats its stored Stealth total. '
+      + describeInheritedSetting(token, 'revealMode', v => REVEAL_MODES[v] ?? REVEAL_MODES.distance)
+  }));
+
+  // --- Acts as Anchor group ---
+  fieldset.appendChild(createFormGroup(doc, {
+    label: 'Acts as Anchor',
+    input: createChoiceSelect(doc, `flags.${MODULE_ID}.anchor`, ANCHOR_CHOICES,
+      token.getFlag(MODULE_ID, 'anchor'), 'Default'),
+    hint: 'Whether this token reveals hidden tokens like a party member. Default follows the anchor rules in the module settings; Always suits NPC companions and familiars.'
+  }));
+
+  // --- Fade group ---
+  const fadeInput = doc.createElement('input');
+  fadeInput.type = 'checkbox';
+  fadeInput.name = `flags.${MODULE_ID}.fade`;
+  fadeInput.setAttribute('data-dtype', 'Boolean');
+  fadeInput.checked = !!token.getFlag(MODULE_ID, 'fade');
+  fieldset.appendChild(createFormGroup(doc, {
+    label: 'Fade In and Out',
+    input: fadeInput,
+    hint: 'Fade the token in and out when proximity reveals or hides it instead of popping instantly.'
+  }));
+
+  // --- Reveal Sound group ---
+  const soundInput = doc.createElement('input');
+  soundInput.type = 'text';
+  soundInput.name = `flags.${MODULE_ID}.revealSound`;
+  soundInput.value = token.getFlag(MODULE_ID, 'revealSound') ?? '';
+  soundInput.placeholder = 'path/to/sound.ogg';
+  const soundGroup = createFormGroup(doc, {
+    label: 'Reveal Sound',
+    input: soundInput,
+    hint: 'Played for everyone when proximity reveals the token.'
+  });
+  soundGroup.querySelector('.form-fields').appendChild(createFilePickerButton(doc, soundInput, 'audio'));
+  fieldset.appendChild(soundGroup);
+
+  // --- Glimpse group ---
+  const glimpseInput = doc.createElement('input');
+  glimpseInput.type = 'number';
+  glimpseInput.name = `flags.${MODULE_ID}.glimpseDistance`;
+  glimpseInput.min = '0';
+  glimpseInput.step = '1';
+  const currentGlimpse = token.getFlag(MODULE_ID, 'glimpseDistance');
+  if (currentGlimpse !== '' && currentGlimpse !== null && currentGlimpse !== undefined) glimpseInput.value = currentGlimpse;
+  fieldset.appendChild(createFormGroup(doc, {
+    label: 'Glimpse Distance (ft)',
+    input: glimpseInput,
+    hint: 'Beyond the minimum distance but within this one, players see a silhouette of the token with a substitute name and no nameplate or bars. Blank or not larger than the minimum distance disables glimpses.',
+    slim: true
+  }));
+
+  const glimpseImageInput = doc.createElement('input');
+  glimpseImageInput.type = 'text';
+  glimpseImageInput.name = `flags.${MODULE_ID}.glimpseImage`;
+  glimpseImageInput.value = token.getFlag(MODULE_ID, 'glimpseImage') ?? '';
+  glimpseImageInput.placeholder = 'path/to/silhouette.webp';
+  const glimpseImageGroup = createFormGroup(doc, {
+    label: 'Glimpse Image',
+    input: glimpseImageInput,
+    hint: 'Shown instead of the token image while glimpsed. Blank shows the token image as a black silhouette.'
+  });
+  glimpseImageGroup.querySelector('.form-fields').appendChild(createFilePickerButton(doc, glimpseImageInput, 'image'));
+  fieldset.appendChild(glimpseImageGroup);
+
+  const glimpseNameInput = doc.createElement('input');
+  glimpseNameInput.type = 'text';
+  glimpseNameInput.name = `flags.${MODULE_ID}.glimpseName`;
+  glimpseNameInput.value = token.getFlag(MODULE_ID, 'glimpseName') ?? '';
+  glimpseNameInput.placeholder = DEFAULT_GLIMPSE_NAME;
+  fieldset.appendChild(createFormGroup(doc, {
+    label: 'Glimpse Name',
+    input: glimpseNameInput,
+    hint: 'The name players see for the token while glimpsed, for example in the combat tracker.'
+  }));
+
+  // --- Override group (placed tokens only) ---
+  if (token.documentName === 'Token') {
+    fieldset.appendChild(createFormGroup(doc, {
+      label: 'Visibility Override',
+      input: createChoiceSelect(doc, `flags.${MODULE_ID}.override`, OVERRIDE_STATES,
+        token.getFlag(MODULE_ID, 'override') || 'auto'),
+      hint: 'Force this token visible or hidden, for example for a cutscene, so proximity stops changing it.'
+    }));
+
+    const minutesInput = doc.createElement('input');
+    minutesInput.type = 'number';
+    minutesInput.name = `flags.${MODULE_ID}.overrideMinutes`;
+    minutesInput.min = '0';
+    minutesInput.step = '1';
+    minutesInput.placeholder = 'min';
+    const minutes = token.getFlag(MODULE_ID, 'overrideMinutes');
+    if (minutes !== undefined && minutes !== null && minutes !== '') minutesInput.value = minutes;
+    const expiryGroup = createFormGroup(doc, {
+      label: 'Override Expires',
+      input: createChoiceSelect(doc, `flags.${MODULE_ID}.overrideExpiry`, OVERRIDE_EXPIRY,
+        token.getFlag(MODULE_ID, 'overrideExpiry') || 'never'),
+      hint: 'Return to automatic at the end of the current (or next) combat, or after the given minutes of world time.'
+    });
+    expiryGroup.querySelector('.form-fields').appendChild(minutesInput);
+    fieldset.appendChild(expiryGroup);
+  }
 
-  const stealthInput = doc.createElement('input');
-  stealthInput.type = 'checkbox';
-  stealthInput.name = `flags.${MODULE_ID}.stealthOnCreate`;
-  stealthInput.setAttribute('data-dtype', 'Boolean');
-  if (token.getFlag(MODULE_ID, 'stealthOnCreate')) {
-    stealthInput.checked = true;
+  // --- Linked Areas group (placed tokens only) ---
+  // Regions and Drawings belong to a scene, so only placed tokens can link them.
+  if (token.documentName === 'Token' && token.parent) {
+    const linked = new Set(token.getFlag(MODULE_ID, 'zones') ?? []);
+    const zoneSelect = doc.createElement('select');
+    zoneSelect.name = `flags.${MODULE_ID}.zones`;
+    zoneSelect.multiple = true;
+    const candidates = [
+      ...(token.parent.regions?.contents ?? []).map(r => [r.uuid, `Region: ${r.name}`]),
+      ...token.parent.drawings.contents.map(d => [d.uuid, `Drawing: ${d.text || d.id}`])
+    ];
+    for (const [uuid, label] of candidates) {
+      const option = doc.createElement('option');
+      option.value = uuid;
+      option.textContent = label;
+      option.selected = linked.has(uuid);
+      zoneSelect.appendChild(option);
+    }
+    fieldset.appendChild(createFormGroup(doc, {
+      label: 'Linked Areas',
+      input: zoneSelect,
+      hint: 'Reveal this token when a player token is inside any selected Region or Drawing.'
+    }));
+
+    fieldset.appendChild(createFormGroup(doc, {
+      label: 'Combine Areas With Distance',
+      input: createChoiceSelect(doc, `flags.${MODULE_ID}.zoneLogic`, ZONE_LOGIC,
+        token.getFlag(MODULE_ID, 'zoneLogic') || 'or'),
+      hint: 'Without a minimum distance, the linked areas alone decide.'
+    }));
   }
-  stealthFields.appendChild(stealthInput);
 
-  const stealthHint = doc.createElement('p');
-  stealthHint.classList.add('hint');
-  stealthHint.textContent = 'When placed on the scene, this token immediately rolls Stealth as the token.';
-  stealthGroup.appendChild(stealthHint);
+  // --- Stored Stealth group (placed tokens only) ---
+  if (token.documentName === 'Token') {
+    const storedInput = doc.createElement('input');
+    storedInput.type = 'number';
+    storedInput.name = `flags.${MODULE_ID}.stealth`;
+    storedInput.step = '1';
+    const storedStealth = token.getFlag(MODULE_ID, 'stealth');
+    if (storedStealth !== undefined && storedStealth !== null && storedStealth !== '') {
+      storedInput.value = storedStealth;
+    }
+    fieldset.appendChild(createFormGroup(doc, {
+      label: 'Stealth Total',
+      input: storedInput,
+      hint: 'Filled in by Stealth on Creation. Edit it to set the difficulty by hand.',
+      slim: true
+    }));
+  }
 
   // Append the fieldset to the appearance tab. By appending at the end, our
   // section appears below existing configuration sections.
@@ -462,15 +3094,751 @@ function injectTokenConfigV13(app, html, context, options) {
   if (typeof app.setPosition === 'function') app.setPosition();
 }
 
+/* -------------------- GM overlay -------------------- */
+
+/** Overlay colors for tokens that are currently revealed or concealed, and for revealing anchors. */
+const OVERLAY_COLORS = {
+  revealed: 0x4caf50,
+  glimpsed: 0xff9800,
+  concealed: 0xe53935,
+  anchor: 0xffc107
+};
+
+/** Above this many grid cells a reveal area is drawn as a circle instead of cell by cell. */
+const OVERLAY_MAX_CELLS = 4000;
+
+/** The overlay container, rebuilt with each canvas. */
+let overlay = null;
+
+function isOverlayEnabled() {
+  return game.user?.isGM && !!game.settings.get(MODULE_ID, "showOverlay");
+}
+
+/**
+ * The horizontal reach, in scene units, of a token's reveal distance as the
+ * overlay draws it: the largest over the anchors on its level, after the
+ * lighting and vision modifiers and the height left over by each anchor's
+ * elevation difference. Without such anchors it is the distance under the
+ * lighting at the token alone.
+ *
+ * @param {TokenDocument} tokenDoc
+ * @param {number} feet
+ * @param {TokenDocument[]} anchors
+ * @returns {number}
+ */
+function overlayCutoffOf(tokenDoc, feet, anchors) {
+  const cutoffFor = cutoffForAnchors(tokenDoc, feetToSceneUnits(feet));
+  const reaches = anchors
+    .filter(anchor => anchor.id !== tokenDoc.id && onSameLevel(anchor, tokenDoc))
+    .map(anchor => {
+      const cutoff = cutoffFor(anchor);
+      const dz = Math.abs((anchor.elevation ?? 0) - (tokenDoc.elevation ?? 0));
+      return cutoff > dz ? Math.sqrt(cutoff ** 2 - dz ** 2) : 0;
+    });
+  return reaches.length ? Math.max(...reaches) : cutoffFor({});
+}
+
+/**
+ * The area an anchor's center must be in to be within a horizontal cutoff of a
+ * token, as a list of shapes. Circles and rounded rectangles are exact for
+ * center and edge measurement of a one-cell anchor; grid measurement is sampled
+ * per cell with the same distanceBetweenDocs call the visibility check uses.
+ *
+ * @param {TokenDocument} tokenDoc
+ * @param {number} cutoff  Scene units
+ * @returns {Array<PIXI.Circle|PIXI.RoundedRectangle|PIXI.Polygon>}
+ */
+function revealAreaOf(tokenDoc, cutoff) {
+  const d = canvas.dimensions;
+  const cutoffPx = (cutoff / d.distance) * d.size;
+  const center = centerOf(tokenDoc);
+  const mode = resolveVisibilitySetting(tokenDoc, "measurementMode").value;
+  const halfW = ((tokenDoc.width ?? 1) * d.size) / 2;
+  const halfH = ((tokenDoc.height ?? 1) * d.size) / 2;
+
+  if (mode === "edge") {
+    const w = halfW + d.size / 2 + cutoffPx;
+    const h = halfH + d.size / 2 + cutoffPx;
+    return [new PIXI.RoundedRectangle(center.x - w, center.y - h, w * 2, h * 2, cutoffPx)];
+  }
+  const gridless = canvas.grid?.type === CONST.GRID_TYPES.GRIDLESS;
+  if (mode !== "grid" || gridless || typeof canvas.grid?.getOffset !== "function") {
+    return [new PIXI.Circle(center.x, center.y, cutoffPx)];
+  }
+
+  const reach = cutoffPx * Math.SQRT2 + Math.max(halfW, halfH) + d.size;
+  const min = canvas.grid.getOffset({ x: center.x - reach, y: center.y - reach });
+  const max = canvas.grid.getOffset({ x: center.x + reach, y: center.y + reach });
+  if ((max.i - min.i + 1) * (max.j - min.j + 1) > OVERLAY_MAX_CELLS) {
+    return [new PIXI.Circle(center.x, center.y, cutoffPx)];
+  }
+  const cells = [];
+  for (let i = min.i; i <= max.i; i++) {
+    for (let j = min.j; j <= max.j; j++) {
+      const c = canvas.grid.getCenterPoint({ i, j });
+      const probe = { x: c.x - d.size / 2, y: c.y - d.size / 2, width: 1, height: 1, elevation: tokenDoc.elevation };
+      if (distanceBetweenDocs(probe, tokenDoc, "grid") > cutoff) continue;
+      const vertices = canvas.grid.getVertices({ i, j });
+      cells.push(new PIXI.Polygon(vertices.flatMap(v => [v.x, v.y])));
+    }
+  }
+  return cells;
+}
+
+/**
+ * The outline of a linked Region or Drawing in canvas coordinates.
+ *
+ * @param {RegionDocument|DrawingDocument} zone
+ * @returns {PIXI.Polygon[]}
+ */
+function zoneOutlineOf(zone) {
+  if (zone.documentName === "Region") return zone.polygons ?? zone.object?.polygons ?? [];
+  const { shape, x, y, rotation } = zone;
+  const w = shape.width ?? 0;
+  const h = shape.height ?? 0;
+  let local;
+  if (shape.type === "r") local = [0, 0, w, 0, w, h, 0, h];
+  else if (shape.type === "e") {
+    local = [];
+    for (let k = 0; k < 32; k++) {
+      const a = (k / 32) * Math.PI * 2;
+      local.push(w / 2 + Math.cos(a) * w / 2, h / 2 + Math.sin(a) * h / 2);
+    }
+  } else local = shape.points ?? [];
+  // Rotate around the drawing's center as drawingContainsPoint does in reverse
+  const angle = Math.toRadians(rotation ?? 0);
+  const points = [];
+  for (let k = 0; k + 1 < local.length; k += 2) {
+    const dx = local[k] - w / 2;
+    const dy = local[k + 1] - h / 2;
+    points.push(x + w / 2 + dx * Math.cos(angle) - dy * Math.sin(angle),
+      y + h / 2 + dx * Math.sin(angle) + dy * Math.cos(angle));
+  }
+  return points.length >= 6 ? [new PIXI.Polygon(points)] : [];
+}
+
+/**
+ * GM-only: draw each managed token's reveal and glimpse areas and linked areas, its current
+ * state, a proximity badge and the anchor revealing it. States come from
+ * evaluateVisibility, the same check that decides the token's hidden state.
+ * Areas show the effective reach; where lighting, vision or elevation shortens
+ * it, the unmodified distance is outlined faintly as well.
+ */
+function drawOverlay() {
+  if (overlay && (overlay.destroyed || overlay.parent !== canvas?.controls)) overlay = null;
+  if (!isOverlayEnabled() || !canvas?.ready || !canvas.scene) {
+    overlay?.destroy({ children: true });
+    overlay = null;
+    return;
+  }
+  if (!overlay) {
+    overlay = new PIXI.Container();
+    overlay.eventMode = "none";
+    canvas.controls.addChild(overlay);
+  }
+  overlay.removeChildren().forEach(child => child.destroy());
+  const areas = overlay.addChild(new PIXI.Graphics());
+  const marks = overlay.addChild(new PIXI.Graphics());
+  const size = canvas.dimensions.size;
+  const anchors = getPlayerAnchorDocs();
+
+  for (const td of canvas.scene.tokens) {
+    const overridden = !!activeOverrideOf(td);
+    if (!overridden && !isProximityManaged(td)) continue;
+    const state = evaluateVisibility(td, { anchors });
+    const color = state.hidden ? OVERLAY_COLORS.concealed
+      : state.glimpse ? OVERLAY_COLORS.glimpsed : OVERLAY_COLORS.revealed;
+
+    const feet = revealDistanceOf(td);
+    if (feet !== null && !overridden) {
+      const cutoff = overlayCutoffOf(td, feet, anchors);
+      areas.lineStyle(2, color, 0.8).beginFill(color, state.hidden ? 0.05 : 0.12);
+      for (const shape of revealAreaOf(td, cutoff)) areas.drawShape(shape);
+      areas.endFill();
+      const base = feetToSceneUnits(feet);
+      if (cutoff < base) {
+        areas.lineStyle(1, color, 0.3);
+        for (const shape of revealAreaOf(td, base)) areas.drawShape(shape);
+      }
+      const glimpseFeet = glimpseDistanceOf(td);
+      if (glimpseFeet !== null) {
+        areas.lineStyle(1, OVERLAY_COLORS.glimpsed, 0.6);
+        for (const shape of revealAreaOf(td, overlayCutoffOf(td, glimpseFeet, anchors))) areas.drawShape(shape);
+      }
+    }
+    areas.lineStyle(2, color, 0.9);
+    for (const zone of linkedZonesOf(td)) {
+      for (const polygon of zoneOutlineOf(zone)) areas.drawShape(polygon);
+    }
+
+    // Concealed tokens are framed with a dashed outline, revealed ones with a solid one
+    const { x, y } = td;
+    const w = (td.width ?? 1) * size;
+    const h = (td.height ?? 1) * size;
+    marks.lineStyle(3, color, 1);
+    if (state.hidden) {
+      const dash = size / 8;
+      for (const [ax, ay, bx, by] of [[x, y, x + w, y], [x + w, y, x + w, y + h], [x + w, y + h, x, y + h], [x, y + h, x, y]]) {
+        const length = Math.hypot(bx - ax, by - ay);
+        for (let t = 0; t < length; t += dash * 2) {
+          const end = Math.min(t + dash, length);
+          marks.moveTo(ax + (bx - ax) * t / length, ay + (by - ay) * t / length)
+            .lineTo(ax + (bx - ax) * end / length, ay + (by - ay) * end / length);
+        }
+      }
+    } else marks.drawRect(x, y, w, h);
+
+    // Proximity badge in the top-right corner; overrides show as a square
+    const r = Math.max(6, size / 10);
+    marks.lineStyle(2, 0xffffff, 1).beginFill(color, 1);
+    if (overridden) marks.drawRect(x + w - r * 2, y, r * 2, r * 2);
+    else marks.drawCircle(x + w - r, y + r, r);
+    marks.endFill();
+
+    if (state.anchor) {
+      const from = centerOf(state.anchor);
+      const to = centerOf(td);
+      marks.lineStyle(3, OVERLAY_COLORS.anchor, 0.9).moveTo(from.x, from.y).lineTo(to.x, to.y);
+      marks.drawCircle(from.x, from.y, ((state.anchor.width ?? 1) * size) / 2 + 4);
+    }
+  }
+}
+
+/** Redraw the overlay once the current burst of token changes settles. */
+function scheduleOverlayDraw() {
+  if (!isOverlayEnabled() && !overlay) return;
+  clearTimeout(scheduleOverlayDraw._t);
+  scheduleOverlayDraw._t = setTimeout(drawOverlay, 50);
+}
+
+/* -------------------- bulk editing -------------------- */
+
+/** Select value marking a field whose selected tokens disagree. */
+const MIXED_VALUE = "__mixed__";
+
+/**
+ * Open a dialog editing the distance and Stealth on Creation flags of every
+ * controlled token at once. Fields whose tokens disagree show "varies", and only
+ * the fields the GM actually touches are written, in one batched update.
+ */
+async function openBulkEditDialog() {
+  const tokenDocs = canvas.tokens?.controlled.map(t => t.document) ?? [];
+  if (!tokenDocs.length) {
+    ui.notifications?.warn("Select one or more tokens to edit their Minimum Visibility settings.");
+    return;
+  }
+
+  // Work out the shared value of each field, or MIXED_VALUE when they differ.
+  const shared = values => (new Set(values).size === 1 ? values[0] : MIXED_VALUE);
+  const distance = shared(tokenDocs.map(td => {
+    const raw = td.getFlag(MODULE_ID, "distance");
+    return raw === undefined || raw === null ? "" : String(raw);
+  }));
+  const stealth = shared(tokenDocs.map(td => stealthOnCreateChoiceOf(td.getFlag(MODULE_ID, "stealthOnCreate"))));
+
+  const stealthChoices = { "": "Default", ...STEALTH_ON_CREATE_CHOICES };
+  if (stealth === MIXED_VALUE) stealthChoices[MIXED_VALUE] = "(varies)";
+  const stealthOptions = Object.entries(stealthChoices)
+    .map(([value, label]) => `<option value="${value}" ${value === stealth ? "selected" : ""}>${label}</option>`)
+    .join("");
+
+  const content = `
+    <p>Editing ${tokenDocs.length} token${tokenDocs.length === 1 ? "" : "s"}. Only fields you change are applied.</p>
+    <div class="form-group">
+      <label>Minimum Visibility Distance (ft)</label>
+      <div class="form-fields">
+        <input type="number" name="distance" min="0" step="1"
+          value="${distance === MIXED_VALUE ? "" : distance}" placeholder="${distance === MIXED_VALUE ? "(varies)" : ""}">
+      </div>
+      <p class="hint">Clear the field to remove the distance so the tokens inherit their defaults.</p>
+    </div>
+    <div class="form-group">
+      <label>Stealth on Creation</label>
+      <div class="form-fields"><select name="stealthOnCreate">${stealthOptions}</select></div>
+    </div>`;
+
+  // Mark fields as touched as soon as the GM edits them. The render callback
+  // receives the dialog element in v12 and the application in v13.
+  const trackTouched = (_event, dialog) => {
+    const root = dialog instanceof HTMLElement ? dialog : dialog?.element;
+    root?.addEventListener("input", e => { if (e.target.name) e.target.dataset.touched = "true"; });
+    root?.addEventListener("change", e => { if (e.target.name) e.target.dataset.touched = "true"; });
+  };
+
+  const touched = await foundry.applications.api.DialogV2.wait({
+    window: { title: "Minimum Visibility: Selected Tokens" },
+    content,
+    render: trackTouched,
+    rejectClose: false,
+    buttons: [{
+      action: "apply",
+      label: "Apply",
+      icon: "fas fa-check",
+      default: true,
+      callback: (_event, button) => Object.fromEntries(
+        [...button.form.elements]
+          .filter(el => el.name && el.dataset.touched)
+          .map(el => [el.name, el.value])
+      )
+    }, {
+      action: "cancel",
+      label: "Cancel",
+      icon: "fas fa-times"
+    }]
+  });
+  if (!touched || typeof touched !== "object") return;
+
+  const changes = {};
+  if ("distance" in touched) {
+    const feet = Number(touched.distance);
+    if (touched.distance === "" || Number.isNaN(feet)) changes[`flags.${MODULE_ID}.-=distance`] = null;
+    else changes[`flags.${MODULE_ID}.distance`] = feet;
+  }
+  if ("stealthOnCreate" in touched && touched.stealthOnCreate !== MIXED_VALUE) {
+    if (touched.stealthOnCreate === "") changes[`flags.${MODULE_ID}.-=stealthOnCreate`] = null;
+    else changes[`flags.${MODULE_ID}.stealthOnCreate`] = touched.stealthOnCreate;
+  }
+  if (!Object.keys(changes).length) return;
+
+  const updates = tokenDocs.map(td => ({ _id: td.id, ...changes }));
+  await canvas.scene.updateEmbeddedDocuments("Token", updates);
+}
+
+/**
+ * Add a Minimum Visibility button to the Token controls. Scene controls are an
+ * array of control groups with tool arrays in v12 and records keyed by name in
+ * v13.
+ *
+ * @param {object[]|Record<string, object>} controls
+ */
+function addTokenControlTools(controls) {
+  if (!game.user.isGM) return;
+  const tool = {
+    name: "minimumVisibility",
+    title: "Minimum Visibility: Edit Selected Tokens",
+    icon: "fas fa-eye-low-vision",
+    button: true
+  };
+  const overlayTool = {
+    name: "minimumVisibilityOverlay",
+    title: "Minimum Visibility: Show Reveal Ranges",
+    icon: "fas fa-bullseye",
+    toggle: true,
+    active: !!game.settings.get(MODULE_ID, "showOverlay")
+  };
+  const setOverlay = active => game.settings.set(MODULE_ID, "showOverlay", !!active);
+  if (Array.isArray(controls)) {
+    const tokenControls = controls.find(c => c.name === "token");
+    tokenControls?.tools.push({ ...tool, onClick: () => openBulkEditDialog() });
+    tokenControls?.tools.push({ ...overlayTool, onClick: toggled => setOverlay(toggled) });
+  } else {
+    const tokenControls = controls?.tokens;
+    if (!tokenControls) return;
+    tokenControls.tools[tool.name] = {
+      ...tool,
+      order: Object.keys(tokenControls.tools).length,
+      onChange: () => openBulkEditDialog()
+    };
+    tokenControls.tools[overlayTool.name] = {
+      ...overlayTool,
+      order: Object.keys(tokenControls.tools).length,
+      onChange: (event, active) => setOverlay(active)
+    };
+  }
+}
+
+/* -------------------- public API -------------------- */
+
+/**
+ * Accept Tokens, TokenDocuments or a mix of both, alone or in an array.
+ *
+ * @param {Token|TokenDocument|Array<Token|TokenDocument>} tokens
+ * @returns {TokenDocument[]}
+ */
+function toTokenDocs(tokens) {
+  return [tokens].flat().map(t => t?.document ?? t).filter(td => td?.documentName === "Token");
+}
+
+/**
+ * Group token updates by their scene and apply each batch in one call.
+ *
+ * @param {TokenDocument[]} tokenDocs
+ * @param {Function} toUpdate  Maps a token to its update data, or null to skip it
+ */
+async function updateTokensByScene(tokenDocs, toUpdate) {
+  const byScene = new Map();
+  for (const td of tokenDocs) {
+    const update = toUpdate(td);
+    if (!update || !td.parent) continue;
+    if (!byScene.has(td.parent)) byScene.set(td.parent, []);
+    byScene.get(td.parent).push({ _id: td.id, ...update });
+  }
+  for (const [scene, updates] of byScene) await scene.updateEmbeddedDocuments("Token", updates);
+}
+
+/**
+ * Functions exposed to macros and other modules as
+ * game.modules.get("the-horses-actor-visibility-tools").api.
+ */
+const api = {
+  /**
+   * Report whether proximity would hide a token right now. Only tokens on the
+   * viewed scene can be measured.
+   *
+   * @param {Token|TokenDocument} token
+   * @returns {{managed: boolean, hidden: boolean, anchor: TokenDocument|null, distance: number|null}|null}
+   *   Null when the argument is not a token. For a token on another scene,
+   *   `hidden` is its current hidden field and `anchor` and `distance` are null.
+   */
+  getVisibility(token) {
+    const [tokenDoc] = toTokenDocs(token);
+    if (!tokenDoc) return null;
+    if (tokenDoc.parent !== canvas?.scene) {
+      return { managed: isProximityManaged(tokenDoc), hidden: tokenDoc.hidden, anchor: null, distance: null };
+    }
+    const state = evaluateVisibility(tokenDoc);
+    return {
+      managed: isProximityManaged(tokenDoc),
+      hidden: state.hidden,
+      anchor: state.anchor ?? null,
+      distance: state.distance ?? null
+    };
+  },
+
+  /**
+   * Set, or with null clear, the minimum visibility distance of tokens.
+   *
+   * @param {Token|TokenDocument|Array<Token|TokenDocument>} tokens
+   * @param {number|null} feet
+   */
+  async setDistance(tokens, feet) {
+    const clear = feet === null || feet === undefined || feet === "";
+    await updateTokensByScene(toTokenDocs(tokens), () => (clear
+      ? { [`flags.${MODULE_ID}.-=distance`]: null }
+      : { [`flags.${MODULE_ID}.distance`]: Number(feet) }));
+  },
+
+  /**
+   * Recompute visibility on a scene, routed through a GM when called by a player.
+   * Only the scene currently viewed by the GM is recomputed; any other scene is
+   * recomputed in full once the GM views it.
+   *
+   * @param {string} [sceneId]  Defaults to the viewed scene
+   */
+  async recompute(sceneId = canvas?.scene?.id) {
+    applyLocalVisibility();
+    if (isPrimaryGM()) {
+      if (sceneId && sceneId !== canvas?.scene?.id) return;
+      return applyDirtyGM({ full: true, tokenIds: new Set() });
+    }
+    // A GM recomputes the scene anyway once it views it
+    if (!getPrimaryGMUser()) return;
+    game.socket?.emit(SOCKET, { op: "applyAll", sceneId, full: true });
+  },
+
+  /**
+   * Roll Stealth for a placed token and store the total on it.
+   *
+   * @param {Token|TokenDocument} token
+   * @returns {Promise<number|null>}
+   */
+  async rollStealth(token) {
+    const [tokenDoc] = toTokenDocs(token);
+    if (!tokenDoc?.isOwner) return null;
+    return rollStealthForTokenDoc(tokenDoc);
+  },
+
+  /**
+   * GM-only: reveal tokens by forcing them visible with a visibility override,
+   * so proximity leaves them revealed until the override is set back to
+   * automatic or expires. With sticky, the tokens are also marked as discovered
+   * for every player so they stay revealed after that.
+   *
+   * @param {Token|TokenDocument|Array<Token|TokenDocument>} tokens
+   * @param {object} [options]
+   * @param {boolean} [options.sticky=false]
+   */
+  async reveal(tokens, { sticky = false } = {}) {
+    if (!game.user.isGM) return void ui.notifications?.warn("Only a GM can reveal tokens.");
+    const discovered = {
+      name: game.user.name,
+      userIds: game.users.filter(u => !u.isGM).map(u => u.id),
+      time: Date.now(),
+      worldTime: game.time?.worldTime ?? 0
+    };
+    await updateTokensByScene(toTokenDocs(tokens), () => (sticky
+      ? {
+        ...overrideUpdateOf("visible"),
+        [`flags.${MODULE_ID}.stickyReveal`]: true,
+        [`flags.${MODULE_ID}.discovered`]: discovered
+      }
+      : overrideUpdateOf("visible")));
+  },
+
+  /**
+   * GM-only: hide tokens by forcing them hidden with a visibility override, so
+   * proximity leaves them hidden until the override is set back to automatic
+   * or expires. With sticky, their discovery is also reset.
+   *
+   * @param {Token|TokenDocument|Array<Token|TokenDocument>} tokens
+   * @param {object} [options]
+   * @param {boolean} [options.sticky=false]
+   */
+  async conceal(tokens, { sticky = false } = {}) {
+    if (!game.user.isGM) return void ui.notifications?.warn("Only a GM can conceal tokens.");
+    await updateTokensByScene(toTokenDocs(tokens), td => (sticky && td.getFlag(MODULE_ID, "discovered")
+      ? { ...overrideUpdateOf("hidden"), [`flags.${MODULE_ID}.-=discovered`]: null }
+      : overrideUpdateOf("hidden")));
+  },
+
+  registerStealthAdapter,
+  resetDiscovery: tokens => resetDiscovery(toTokenDocs(tokens)),
+  resetSceneDiscovery: sceneId => resetSceneDiscovery(game.scenes?.get(sceneId) ?? canvas?.scene)
+};
+
+/* -------------------- settings -------------------- */
+
+function registerSettings() {
+  game.settings.register(MODULE_ID, "measurementMode", {
+    name: "Distance Measurement",
+    hint: "How the distance between a player token and a hidden token is measured. Grid rules follow the scene's diagonal rule and hex grids so the revealed radius matches the ruler.",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: MEASUREMENT_MODES,
+    default: "center",
+    onChange: () => routeApplyAll()
+  });
+
+  game.settings.register(MODULE_ID, "levelSeparation", {
+    name: "Level Separation",
+    hint: "Treat tokens on different levels as unable to reveal each other. Elevation bands split the scene every Level Height units of elevation; Regions with a bottom or top elevation each form a level, such as the floors of a building drawn on one scene.",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: LEVEL_SEPARATION,
+    default: "none",
+    onChange: () => routeApplyAll()
+  });
+
+  game.settings.register(MODULE_ID, "levelHeight", {
+    name: "Level Height",
+    hint: "The height of each elevation band, in scene units, when Level Separation uses elevation bands.",
+    scope: "world",
+    config: true,
+    type: Number,
+    default: 10,
+    onChange: () => routeApplyAll()
+  });
+
+  game.settings.register(MODULE_ID, "lightModifiers", {
+    name: "Lighting and Vision Modifiers",
+    hint: "Scale reveal distances by the lighting at the hidden token's position and the revealing token's vision. Darkvision counts the lighting as one step brighter within its range, and senses that don't need light, such as tremorsense, ignore lighting within theirs.",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false,
+    onChange: () => routeApplyAll()
+  });
+
+  game.settings.register(MODULE_ID, "dimMultiplier", {
+    name: "Dim Light Multiplier",
+    hint: "With lighting and vision modifiers on, the share of the reveal distance that applies to tokens in dim light.",
+    scope: "world",
+    config: true,
+    type: Number,
+    range: { min: 0, max: 1, step: 0.05 },
+    default: 0.5,
+    onChange: () => routeApplyAll()
+  });
+
+  game.settings.register(MODULE_ID, "darkMultiplier", {
+    name: "Darkness Multiplier",
+    hint: "With lighting and vision modifiers on, the share of the reveal distance that applies to tokens in darkness.",
+    scope: "world",
+    config: true,
+    type: Number,
+    range: { min: 0, max: 1, step: 0.05 },
+    default: 0.25,
+    onChange: () => routeApplyAll()
+  });
+
+  game.settings.register(MODULE_ID, "defaultDistance", {
+    name: "Default Minimum Visibility Distance (ft)",
+    hint: "Applied to every non-player token that does not set its own distance and whose actor folder or scene has no default. Zero disables auto-hiding by default.",
+    scope: "world",
+    config: true,
+    type: Number,
+    default: 0,
+    onChange: () => routeApplyAll()
+  });
+
+  game.settings.register(MODULE_ID, "defaultRevealMode", {
+    name: "Default Reveal Mode",
+    hint: "Reveal mode for tokens that do not choose one and inherit none from their actor folder or scene.",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: REVEAL_MODES,
+    default: "distance",
+    onChange: () => routeApplyAll()
+  });
+
+  game.settings.register(MODULE_ID, "defaultStealthOnCreate", {
+    name: "Default Stealth on Creation",
+    hint: "Roll Stealth for newly placed tokens that do not choose otherwise and inherit nothing from their actor folder or scene.",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
+  game.settings.register(MODULE_ID, "visibilityScope", {
+    name: "Visibility Scope",
+    hint: "Everyone toggles the token's hidden state as soon as any player token is close. Per player hides the token locally on each player's client until one of that player's own tokens is close, which suits split parties. The GM always sees everything.",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: VISIBILITY_SCOPES,
+    default: "global",
+    onChange: () => routeApplyAll()
+  });
+
+  game.settings.register(MODULE_ID, "stealthRollMode", {
+    name: "Stealth Roll Mode",
+    hint: "Roll mode used for automatic Stealth checks.",
+    scope: "world",
+    config: true,
+    type: String,
+    choices: STEALTH_ROLL_MODES,
+    default: "default"
+  });
+
+  game.settings.register(MODULE_ID, "stealthFormula", {
+    name: "Generic Stealth Formula",
+    hint: "Formula rolled for Stealth in game systems without a dedicated adapter, using the actor's roll data, e.g. 1d20 + @abilities.dex.mod.",
+    scope: "world",
+    config: true,
+    type: String,
+    default: "1d20"
+  });
+
+  game.settings.register(MODULE_ID, "groupStealth", {
+    name: "Group Stealth Checks",
+    hint: "When several tokens with Stealth on Creation are placed together, such as a whole encounter, roll one group check for all of them instead of one per token.",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
+  game.settings.register(MODULE_ID, "applyStealthy", {
+    name: "Apply Stealthy Hidden Effect",
+    hint: "When the Stealthy module is active, mark tokens as hidden in Stealthy with their rolled Stealth value.",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
+  game.settings.register(MODULE_ID, "showOverlay", {
+    name: "Show Reveal Ranges",
+    hint: "Draw each managed token's reveal range, linked areas and current state on the canvas for the GM.",
+    scope: "client",
+    config: false,
+    type: Boolean,
+    default: false,
+    onChange: () => drawOverlay()
+  });
+
+  game.settings.register(MODULE_ID, "fadeDuration", {
+    name: "Fade Duration (ms)",
+    hint: "How long tokens with fading enabled take to fade in or out when proximity reveals or hides them.",
+    scope: "world",
+    config: true,
+    type: Number,
+    default: 750
+  });
+
+  game.settings.register(MODULE_ID, "notifyGM", {
+    name: "Whisper Discoveries to GM",
+    hint: "Whisper the GM whenever proximity reveals a token, naming the player token that found it and how far away it was. The whispers form a log of what was discovered when.",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
+  game.settings.register(MODULE_ID, "notifyPublic", {
+    name: "Announce Discoveries in Chat",
+    hint: "Post a public chat card whenever proximity reveals a token.",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
+  game.settings.register(MODULE_ID, "anchorRules", {
+    scope: "world",
+    config: false,
+    type: Object,
+    default: DEFAULT_ANCHOR_RULES,
+    onChange: () => routeApplyAll()
+  });
+
+  game.settings.registerMenu(MODULE_ID, "anchorRulesMenu", {
+    name: "Anchor Rules",
+    label: "Configure Anchors",
+    hint: "Choose which tokens count as the party and can reveal hidden tokens: by disposition, by owning user, hidden state and status effects such as unconscious or dead.",
+    icon: "fas fa-users",
+    type: AnchorRulesConfig,
+    restricted: true
+  });
+
+  game.settings.register(MODULE_ID, "perceptionPath", {
+    name: "Passive Perception Path",
+    hint: "Data path on the player actor holding its passive Perception, used by the Passive Perception reveal mode. The dnd5e default is system.skills.prc.passive.",
+    scope: "world",
+    config: true,
+    type: String,
+    default: "system.skills.prc.passive",
+    onChange: () => routeApplyAll()
+  });
+}
+
 /* -------------------- hooks -------------------- */
 
-Hooks.once("init", () => console.log(`[${MODULE_ID}] init`));
+Hooks.once("init", () => {
+  console.log(`[${MODULE_ID}] init`);
+  registerSettings();
+  const module = game.modules.get(MODULE_ID);
+  if (module) module.api = api;
+});
+
+// Let per-player visibility conceal tokens on this client. Systems may replace
+// the Token class during init, so wrap whichever class is configured by setup.
+Hooks.once("setup", () => {
+  wrapVisibilityGetter(CONFIG.Token.objectClass, "isVisible", token =>
+    !game.user.isGM && locallyConcealed.has(token.document?.id));
+  for (const [type, { visibility }] of Object.entries(PLACEABLE_TYPES)) {
+    wrapVisibilityGetter(CONFIG[type]?.objectClass, visibility, isPlaceableLocallyConcealed);
+  }
+});
 
 Hooks.once("ready", () => {
-  // GM-side socket handler
-  game.socket?.on(SOCKET, async (data) => {
-    if (!data || !game.user.isGM) return;
-    if (data.op === "applyAll") await applyAllGM(data.sceneId);
+  // Executor-side socket handler
+  game.socket?.on(SOCKET, (data) => {
+    if (!data || !isPrimaryGM()) return;
+    const scene = data.sceneId ? game.scenes.get(data.sceneId) : canvas?.scene;
+    if (data.op === "applyAll" && scene === canvas?.scene) {
+      requestRecompute({ full: data.full ?? !data.tokenIds, tokenIds: data.tokenIds ?? [] });
+    }
+  });
+  refreshExecutor();
+  // Player-side fade out before the GM hides proximity-managed tokens
+  game.socket?.on(SOCKET, (data) => {
+    if (data?.op !== "fadeOut" || game.user.isGM || data.sceneId !== canvas?.scene?.id) return;
+    for (const id of data.ids ?? []) fadeToken(canvas.scene.tokens.get(id), "out");
   });
 });
 
@@ -495,21 +3863,128 @@ Hooks.on("renderPrototypeTokenConfig", (app, html, data, options) => {
   }
 });
 
+// Tile, Note and ambient Sound sheets
+for (const hook of ["renderTileConfig", "renderNoteConfig", "renderAmbientSoundConfig"]) {
+  Hooks.on(hook, (app, html) => {
+    try {
+      renderPlaceableVisibilityConfig(app, html);
+    } catch (err) {
+      console.error(`[${MODULE_ID}] Failed to render Minimum Visibility config:`, err);
+    }
+  });
+}
+
+// Scene and actor folder defaults
+Hooks.on("renderSceneConfig", (app, html) => {
+  try {
+    renderSceneDefaultsConfig(app, html);
+  } catch (err) {
+    console.error(`[${MODULE_ID}] Failed to render Minimum Visibility scene defaults:`, err);
+  }
+});
+
+Hooks.on("renderFolderConfig", (app, html) => {
+  try {
+    renderFolderDefaultsConfig(app, html);
+  } catch (err) {
+    console.error(`[${MODULE_ID}] Failed to render Minimum Visibility folder defaults:`, err);
+  }
+});
+
+// Token HUD override button
+Hooks.on("renderTokenHUD", (hud, html) => {
+  try {
+    renderOverrideHUDControl(hud, html);
+  } catch (err) {
+    console.error(`[${MODULE_ID}] Failed to render Minimum Visibility HUD control:`, err);
+  }
+});
+
+// Overrides restart their expiry when changed, and lapse with time or combat
+Hooks.on("preUpdateToken", overrideManualVisibility);
+Hooks.on("preUpdateToken", stampOverrideChange);
+Hooks.on("updateWorldTime", () => clearExpiredOverrides());
+Hooks.on("deleteCombat", (combat) => clearExpiredOverrides(combat));
+
+// Token controls button for editing the selected tokens in bulk
+Hooks.on("getSceneControlButtons", addTokenControlTools);
+
+// Scene directory entry for resetting discovery. v13 renamed the hook but can
+// still fire the v12 one, so only the current generation's hook is used.
+Hooks.once("init", () => {
+  const hook = game.release?.generation >= 13 ? "getSceneContextOptions" : "getSceneDirectoryEntryContext";
+  Hooks.on(hook, addSceneDiscoveryContext);
+});
+
 // Route all recomputes through the GM
-Hooks.on("canvasReady", routeApplyAll);
-Hooks.on("createToken", (doc) => {
+Hooks.on("canvasReady", () => {
   routeApplyAll();
+  if (isPrimaryGM() && canvas.scene) processPendingWork([canvas.scene]);
+});
+Hooks.on("userConnected", (user) => {
+  if (user.isGM) refreshExecutor();
+});
+Hooks.on("createToken", (doc, options, userId) => {
+  routeTokenChange(doc);
   // stealth-on-creation (doesn't require GM rights)
-  try { scheduleStealthRollForTokenDoc(doc); } catch (e) { console.error(`[${MODULE_ID}]`, e); }
+  try { scheduleStealthRollForTokenDoc(doc, userId); } catch (e) { console.error(`[${MODULE_ID}]`, e); }
 });
-Hooks.on("deleteToken", routeApplyAll);
+Hooks.on("deleteToken", routeTokenChange);
+Hooks.on("updateToken", onProximityUpdate);
+Hooks.on("updateToken", onGlimpseUpdate);
+Hooks.on("refreshToken", applyGlimpseAppearance);
+Hooks.on("renderCombatTracker", renderGlimpseCombatants);
 Hooks.on("updateToken", (doc, changes) => {
-  if ("x" in changes || "y" in changes || "hidden" in changes || (changes.flags && MODULE_ID in changes.flags)) {
-    routeApplyAll();
+  if (isPendingStealthOnlyChange(changes)) return;
+  // _regions changes when a token enters or leaves a Region
+  if ("x" in changes || "y" in changes || "elevation" in changes || "hidden" in changes || "_regions" in changes || "disposition" in changes
+    || (changes.flags && MODULE_ID in changes.flags)) {
+    routeTokenChange(doc);
   }
 });
 Hooks.on("updateActor", (doc, changes) => {
-  if ("ownership" in changes) routeApplyAll();
+  // System data changes can move an anchor's passive Perception
+  if ("ownership" in changes || "system" in changes || "folder" in changes) routeActorChange(doc);
 });
-Hooks.on("sightRefresh", routeApplyAll);
+// Walls and doors change which tokens have line of sight to each other
+Hooks.on("createWall", routeApplyAll);
+Hooks.on("updateWall", routeApplyAll);
+Hooks.on("deleteWall", routeApplyAll);
 Hooks.on("updateScene", routeApplyAll);
+// Status effects can stop a token acting as an anchor
+Hooks.on("createActiveEffect", routeEffectChange);
+Hooks.on("updateActiveEffect", routeEffectChange);
+Hooks.on("deleteActiveEffect", routeEffectChange);
+// Linked reveal areas can be reshaped, moved or removed
+Hooks.on("createRegion", routeApplyAll);
+Hooks.on("updateRegion", routeApplyAll);
+Hooks.on("deleteRegion", routeApplyAll);
+Hooks.on("createDrawing", routeApplyAll);
+Hooks.on("updateDrawing", routeApplyAll);
+Hooks.on("deleteDrawing", routeApplyAll);
+// Folder defaults, or moving an actor between folders, change inherited settings
+Hooks.on("updateFolder", routeApplyAll);
+// Light sources change the lighting used by the light modifiers
+Hooks.on("lightingRefresh", onLightingRefresh);
+Hooks.on("createAmbientLight", () => lightModifiersEnabled() && routeApplyAll());
+Hooks.on("updateAmbientLight", () => lightModifiersEnabled() && routeApplyAll());
+Hooks.on("deleteAmbientLight", () => lightModifiersEnabled() && routeApplyAll());
+// Moving light sources are picked up by onLightingRefresh once they settle
+Hooks.on("updateToken", (doc, changes) => {
+  if (!lightModifiersEnabled() || doc.parent !== canvas?.scene) return;
+  if ("light" in changes) routeApplyAll();
+  else if ("sight" in changes || "detectionModes" in changes) routeTokenChange(doc);
+});
+// Tiles, Notes and ambient Sounds
+for (const type of Object.keys(PLACEABLE_TYPES)) {
+  Hooks.on(`create${type}`, (doc) => onPlaceableChange(doc));
+  Hooks.on(`update${type}`, onPlaceableChange);
+}
+Hooks.on("updateTile", onProximityUpdate);
+
+// GM overlay
+Hooks.on("canvasReady", drawOverlay);
+Hooks.on("refreshToken", scheduleOverlayDraw);
+Hooks.on("deleteToken", scheduleOverlayDraw);
+Hooks.on("refreshRegion", scheduleOverlayDraw);
+Hooks.on("refreshDrawing", scheduleOverlayDraw);